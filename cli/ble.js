@@ -10,6 +10,7 @@
 // const events = require('events')
 const homebridgeLib = require('homebridge-lib')
 const BleClient = require('../lib/BleClient')
+const SomaSimulator = require('../lib/SomaSimulator')
 const packageJson = require('../package.json')
 const { bufferToHex } = require('../lib/BleUtils')
 
@@ -17,7 +18,7 @@ const { b, u } = homebridgeLib.CommandLineTool
 const { UsageError } = homebridgeLib.CommandLineParser
 
 const usage = {
-  ble: `${b('ble')} [${b('-hVD')}] [${b('-r')} ${u('rssi')}] [${b('-t')} ${u('timeout')}] ${u('command')} [${u('argument')} ...]`,
+  ble: `${b('ble')} [${b('-hVDS')}] [${b('-r')} ${u('rssi')}] [${b('-t')} ${u('timeout')}] ${u('command')} [${u('argument')} ...]`,
   discover: `${b('discover')} [${b('-h')}]`,
   probe: `${b('probe')} [${b('-h')}] ${u('id')}`
 }
@@ -43,6 +44,9 @@ Parameters:
   ${b('-D')}, ${b('--debug')}
   Print debug messages.
 
+  ${b('-S')}, ${b('--simulator')}
+  Use simulated SOMA devices instead of Bluetooth, for testing.
+
   ${b('-r')} ${u('rssi')}, ${b('--rssi=')}${u('rssi')}
   Set minimum RSSI to ${u('rssi')} instead of default ${b('-100')}.
 
@@ -85,7 +89,12 @@ class Main extends homebridgeLib.CommandLineTool {
   async main () {
     try {
       this._clargs = this.parseArguments()
-      this.client = new BleClient({ rssi: this._clargs.options.rssi })
+      this.client = new BleClient({
+        bindings: this._clargs.options.simulator
+          ? SomaSimulator.createBindings(2)
+          : undefined,
+        rssi: this._clargs.options.rssi
+      })
       this.client
         .on('error', (error) => {
           if (error instanceof BleClient.BleError) {
@@ -179,6 +188,9 @@ class Main extends homebridgeLib.CommandLineTool {
           this.setOptions({ debug: true, chalk: true })
         }
       })
+      .flag('S', 'simulator', () => {
+        clargs.options.simulator = true
+      })
       .option('r', 'rssi', (value) => {
         clargs.options.rssi = homebridgeLib.OptionParser.toInt(
           'rssi', value, -100, -50, true
@@ -7,8 +7,10 @@
 
 'use strict'
 
+const fs = require('fs')
 const homebridgeLib = require('homebridge-lib')
 const SomaClient = require('../lib/SomaClient')
+const SomaSimulator = require('../lib/SomaSimulator')
 const packageJson = require('../package.json')
 const { bufferToHex } = require('../lib/BleUtils')
 
@@ -16,7 +18,7 @@ const { b, u } = homebridgeLib.CommandLineTool
 const { UsageError } = homebridgeLib.CommandLineParser
 
 const usage = {
-  soma: `${b('soma')} [${b('-hVD')}] [${b('-r')} ${u('rssi')}] [${b('-t')} ${u('timeout')}] ${u('command')} [${u('argument')} ...]`,
+  soma: `${b('soma')} [${b('-hVDS')}] [${b('-r')} ${u('rssi')}] [${b('-t')} ${u('timeout')}] ${u('command')} [${u('argument')} ...]`,
   discover: `${b('discover')} [${b('-h')}]`,
   probe: `${b('probe')} [${b('-h')}] ${u('device')}`,
 
@@ -29,7 +31,27 @@ const usage = {
   up: `${b('up')} ${u('device')}`,
   down: `${b('down')} ${u('device')}`,
   stepUp: `${b('stepUp')} ${u('device')}`,
-  stepDown: `${b('stepDown')} ${u('device')}`
+  stepDown: `${b('stepDown')} ${u('device')}`,
+  venetian: `${b('venetian')} [${b('-h')}] ${u('device')} [${b('on')}|${b('off')}]`,
+  rename: `${b('rename')} [${b('-hg')}] ${u('device')} ${u('name')}`,
+  direction: `${b('direction')} [${b('-h')}] ${u('device')} [${b('normal')}|${b('reversed')}]`,
+  tuning: `${b('tuning')} [${b('-h')}] [${b('-a')} ${u('acceleration')}] [${b('-d')} ${u('deceleration')}] [${b('-s')} ${u('acceleration')}] ${u('device')}`,
+
+  triggers: `${b('triggers')} [${b('-h')}] [${u('device')}] [${u('command')} [${u('argument')} ...]]`,
+
+  export: `${b('export')} [${b('-h')}] ${u('device')}`,
+  import: `${b('import')} [${b('-hn')}] ${u('device')} ${u('file')}`
+}
+
+const triggersUsage = {
+  list: `${b('list')} [${b('-h')}]`,
+  show: `${b('show')} [${b('-h')}] [${u('id')}]`,
+  add: `${b('add')} [${b('-hmM')}] [${b('-d')} ${u('days')}] ${u('condition')} ${b('-p')} ${u('position')}`,
+  edit: `${b('edit')} [${b('-hmM')}] [${b('-d')} ${u('days')}] [${u('condition')}] [${b('-p')} ${u('position')}] ${u('id')}`,
+  remove: `${b('remove')} [${b('-h')}] ${u('id')}`,
+  enable: `${b('enable')} [${b('-h')}] ${u('id')}`,
+  disable: `${b('disable')} [${b('-h')}] ${u('id')}`,
+  clear: `${b('clear')} [${b('-h')}]`
 }
 
 const description = {
@@ -46,9 +68,59 @@ const description = {
   up: 'Move up.',
   down: 'Move down.',
   stepUp: 'Step Up.',
-  stepDown: 'Step Down.'
+  stepDown: 'Step Down.',
+  venetian: 'Get or set venetian (Tilt) mode.',
+  rename: 'Set device name or group name.',
+  direction: 'Get or set motor direction.',
+  tuning: 'Get or set motor acceleration and deceleration.',
+
+  triggers: 'List, show, add, edit, enable, disable, or remove triggers.',
+
+  export: 'Export device configuration.',
+  import: 'Import device configuration.'
 }
 
+const triggersDescription = {
+  list: 'List triggers.',
+  show: 'Show trigger details.',
+  add: 'Add trigger.',
+  edit: 'Edit trigger.',
+  remove: 'Remove trigger.',
+  enable: 'Enable trigger.',
+  disable: 'Disable trigger.',
+  clear: 'Remove all triggers.'
+}
+
+const triggerConditionHelp = `  ${b('-d')} ${u('days')}, ${b('--days=')}${u('days')}
+  Fire the trigger on ${u('days')}, e.g. ${b('Mon,Tue,Wed,Thu,Fri')}.
+  Default (for ${b('add')}): ${b('everyday')}.
+
+  ${b('-t')} ${u('time')}, ${b('--time=')}${u('time')}
+  Fire the trigger at local ${u('time')}, as ${u('HH:MM')}.
+
+  ${b('-r')} ${u('offset')}, ${b('--sunrise=')}${u('offset')}
+  Fire the trigger at sunrise, plus or minus ${u('offset')},
+  in minutes or as [${b('+')}|${b('-')}]${u('H:MM')}.
+
+  ${b('-s')} ${u('offset')}, ${b('--sunset=')}${u('offset')}
+  Fire the trigger at sunset, plus or minus ${u('offset')},
+  in minutes or as [${b('+')}|${b('-')}]${u('H:MM')}.
+
+  ${b('-a')} ${u('level')}, ${b('--lightAbove=')}${u('level')}
+  Fire the trigger when the light level rises above ${u('level')}.
+
+  ${b('-b')} ${u('level')}, ${b('--lightBelow=')}${u('level')}
+  Fire the trigger when the light level drops below ${u('level')}.
+
+  ${b('-p')} ${u('position')}, ${b('--position=')}${u('position')}
+  Move to ${u('position')} when the trigger fires, see ${b('soma position -h')}.
+
+  ${b('-m')}, ${b('--morningMode')}
+  Move slowly when the trigger fires.
+
+  ${b('-M')}, ${b('--normalMode')}
+  Move at normal speed when the trigger fires.`
+
 const help = {
   soma: `${description.soma}
 
@@ -64,6 +136,9 @@ Parameters:
   ${b('-D')}, ${b('--debug')}
   Print debug messages.
 
+  ${b('-S')}, ${b('--simulator')}
+  Use simulated SOMA devices instead of Bluetooth, for testing.
+
   ${b('-r')} ${u('rssi')}, ${b('--rssi=')}${u('rssi')}
   Set minimum RSSI to ${u('rssi')} instead of default ${b('-100')}.
 
@@ -104,6 +179,27 @@ Commands:
   ${usage.stepDown}
   ${description.stepDown}
 
+  ${usage.venetian}
+  ${description.venetian}
+
+  ${usage.rename}
+  ${description.rename}
+
+  ${usage.direction}
+  ${description.direction}
+
+  ${usage.tuning}
+  ${description.tuning}
+
+  ${usage.triggers}
+  ${description.triggers}
+
+  ${usage.export}
+  ${description.export}
+
+  ${usage.import}
+  ${description.import}
+
 For more help, issue: ${b('soma')} ${u('command')} ${b('-h')}`,
   discover: `${description.discover}
 
@@ -219,7 +315,219 @@ Parameters:
   Print this help and exit.
 
   ${u('device')}
-  Display name or mac address of the device to step down.`
+  Display name or mac address of the device to step down.`,
+  venetian: `${description.venetian}
+
+Usage: ${b('soma')} ${usage.venetian}
+
+Parameters:
+  ${b('-h')}, ${b('--help')}
+  Print this help and exit.
+
+  ${u('device')}
+  Display name or mac address of the device.
+
+  [${b('on')}|${b('off')}]
+  Switch venetian mode on (for Tilt) or off (for Smart Shades).`,
+  rename: `${description.rename}
+
+Usage: ${b('soma')} ${usage.rename}
+
+Parameters:
+  ${b('-h')}, ${b('--help')}
+  Print this help and exit.
+
+  ${b('-g')}, ${b('--group')}
+  Set the group name instead of the device name.
+
+  ${u('device')}
+  Display name or mac address of the device.
+
+  ${u('name')}
+  New name, up to 19 bytes.`,
+  direction: `${description.direction}
+
+Usage: ${b('soma')} ${usage.direction}
+
+Parameters:
+  ${b('-h')}, ${b('--help')}
+  Print this help and exit.
+
+  ${u('device')}
+  Display name or mac address of the device.
+
+  [${b('normal')}|${b('reversed')}]
+  Set the motor direction.  Use ${b('reversed')} for devices mounted on the
+  opposite side of the window.`,
+  tuning: `${description.tuning}
+
+Usage: ${b('soma')} ${usage.tuning}
+
+Parameters:
+  ${b('-h')}, ${b('--help')}
+  Print this help and exit.
+
+  ${b('-a')} ${u('acceleration')}, ${b('--acceleration=')}${u('acceleration')}
+  Set acceleration when starting, from 0 to 255.
+
+  ${b('-d')} ${u('deceleration')}, ${b('--deceleration=')}${u('deceleration')}
+  Set deceleration when stopping, from 0 to 255.
+
+  ${b('-s')} ${u('acceleration')}, ${b('--stall=')}${u('acceleration')}
+  Set acceleration when restarting after a stall, from 0 to 255.
+
+  ${u('device')}
+  Display name or mac address of the device.`,
+  triggers: `${description.triggers}
+
+Usage: ${b('soma')} ${usage.triggers}
+
+Parameters:
+  ${b('-h')}, ${b('--help')}
+  Print this help and exit.
+
+  ${u('device')}
+  Display name or mac address of the device.
+
+Commands:
+  ${triggersUsage.list}
+  ${triggersDescription.list}  This is the default command.
+
+  ${triggersUsage.show}
+  ${triggersDescription.show}
+
+  ${triggersUsage.add}
+  ${triggersDescription.add}
+
+  ${triggersUsage.edit}
+  ${triggersDescription.edit}
+
+  ${triggersUsage.remove}
+  ${triggersDescription.remove}
+
+  ${triggersUsage.enable}
+  ${triggersDescription.enable}
+
+  ${triggersUsage.disable}
+  ${triggersDescription.disable}
+
+  ${triggersUsage.clear}
+  ${triggersDescription.clear}
+
+For more help, issue: ${b('soma triggers')} [${u('device')}] ${u('command')} ${b('-h')}`,
+  export: `${description.export}
+
+Usage: ${b('soma')} ${usage.export}
+
+Parameters:
+  ${b('-h')}, ${b('--help')}
+  Print this help and exit.
+
+  ${u('device')}
+  Display name or mac address of the device.
+
+The configuration is printed as JSON: shade name, group name, motor speed,
+motor direction, venetian mode, touch button, timezone offset, geographic
+position, and triggers.
+Save it to a file, for use with ${b('soma import')}.`,
+  import: `${description.import}
+
+Usage: ${b('soma')} ${usage.import}
+
+Parameters:
+  ${b('-h')}, ${b('--help')}
+  Print this help and exit.
+
+  ${b('-n')}, ${b('--dryRun')}
+  Only show the differences, don't change the device configuration.
+
+  ${u('device')}
+  Display name or mac address of the device.
+
+  ${u('file')}
+  File with the configuration, as created by ${b('soma export')}.`
+}
+
+const triggersHelp = {
+  list: `${triggersDescription.list}
+
+Usage: ${b('soma triggers')} [${u('device')}] ${triggersUsage.list}
+
+Parameters:
+  ${b('-h')}, ${b('--help')}
+  Print this help and exit.`,
+  show: `${triggersDescription.show}
+
+Usage: ${b('soma triggers')} [${u('device')}] ${triggersUsage.show}
+
+Parameters:
+  ${b('-h')}, ${b('--help')}
+  Print this help and exit.
+
+  ${u('id')}
+  ID of the trigger.  Default: show all triggers.`,
+  add: `${triggersDescription.add}
+
+Usage: ${b('soma triggers')} [${u('device')}] ${triggersUsage.add}
+
+Parameters:
+  ${b('-h')}, ${b('--help')}
+  Print this help and exit.
+
+${triggerConditionHelp}
+
+Specify one ${u('condition')}: ${b('-t')}, ${b('-r')}, ${b('-s')}, ${b('-a')}, or ${b('-b')}.`,
+  edit: `${triggersDescription.edit}
+
+Usage: ${b('soma triggers')} [${u('device')}] ${triggersUsage.edit}
+
+Parameters:
+  ${b('-h')}, ${b('--help')}
+  Print this help and exit.
+
+${triggerConditionHelp}
+
+  ${u('id')}
+  ID of the trigger.
+
+Settings not specified are left unchanged.`,
+  remove: `${triggersDescription.remove}
+
+Usage: ${b('soma triggers')} [${u('device')}] ${triggersUsage.remove}
+
+Parameters:
+  ${b('-h')}, ${b('--help')}
+  Print this help and exit.
+
+  ${u('id')}
+  ID of the trigger.`,
+  enable: `${triggersDescription.enable}
+
+Usage: ${b('soma triggers')} [${u('device')}] ${triggersUsage.enable}
+
+Parameters:
+  ${b('-h')}, ${b('--help')}
+  Print this help and exit.
+
+  ${u('id')}
+  ID of the trigger.`,
+  disable: `${triggersDescription.disable}
+
+Usage: ${b('soma triggers')} [${u('device')}] ${triggersUsage.disable}
+
+Parameters:
+  ${b('-h')}, ${b('--help')}
+  Print this help and exit.
+
+  ${u('id')}
+  ID of the trigger.`,
+  clear: `${triggersDescription.clear}
+
+Usage: ${b('soma triggers')} [${u('device')}] ${triggersUsage.clear}
+
+Parameters:
+  ${b('-h')}, ${b('--help')}
+  Print this help and exit.`
 }
 
 class Main extends homebridgeLib.CommandLineTool {
@@ -243,7 +551,12 @@ class Main extends homebridgeLib.CommandLineTool {
   async main () {
     try {
       this._clargs = this.parseArguments()
-      this.client = new SomaClient({ rssi: this._clargs.options.rssi })
+      this.client = new SomaClient({
+        bindings: this._clargs.options.simulator
+          ? SomaSimulator.createBindings(2)
+          : undefined,
+        rssi: this._clargs.options.rssi
+      })
       this.client
         .on('error', (error) => {
           if (error instanceof SomaClient.BleError) {
@@ -343,6 +656,9 @@ class Main extends homebridgeLib.CommandLineTool {
           this.setOptions({ debug: true, chalk: true })
         }
       })
+      .flag('S', 'simulator', () => {
+        clargs.options.simulator = true
+      })
       .option('r', 'rssi', (value) => {
         clargs.options.rssi = homebridgeLib.OptionParser.toInt(
           'rssi', value, -100, -50, true
@@ -640,6 +956,414 @@ class Main extends homebridgeLib.CommandLineTool {
     await delegate.stepDown()
     return this.printPosition(delegate)
   }
+
+  async venetian (...args) {
+    let address
+    let on
+    const parser = new homebridgeLib.CommandLineParser(packageJson)
+    parser
+      .help('h', 'help', this.help)
+      .remaining((list) => {
+        if (list.length > 2) {
+          throw new UsageError('too many arguments')
+        }
+        const mode = list[list.length - 1]
+        if (mode === 'on' || mode === 'off') {
+          on = list.pop() === 'on'
+        }
+        if (list.length === 2) {
+          throw new UsageError(`${list[1]}: invalid mode`)
+        }
+        if (list.length === 1) {
+          address = homebridgeLib.OptionParser.toString('address', list[0], true)
+        }
+      })
+      .parse(...args)
+    const delegate = await this.createDelegate(address)
+    const venetianMode = on == null
+      ? await delegate.getVenetianMode()
+      : await delegate.setVenetianMode(on)
+    await delegate.disconnect()
+    this.print('venetian mode: %s', venetianMode ? 'on' : 'off')
+  }
+
+  async rename (...args) {
+    let address
+    let name
+    let group = false
+    const parser = new homebridgeLib.CommandLineParser(packageJson)
+    parser
+      .help('h', 'help', this.help)
+      .flag('g', 'group', () => { group = true })
+      .remaining((list) => {
+        if (list.length > 2) {
+          throw new UsageError('too many arguments')
+        }
+        if (list.length === 0) {
+          throw new UsageError('missing name')
+        }
+        if (list.length === 2) {
+          address = homebridgeLib.OptionParser.toString('address', list.shift(), true)
+        }
+        name = homebridgeLib.OptionParser.toString('name', list[0], true)
+      })
+      .parse(...args)
+    const delegate = await this.createDelegate(address)
+    if (group) {
+      await delegate.setGroupName(name)
+      this.print('group name: %s', await delegate.getGroupName())
+    } else {
+      await delegate.setShadeName(name)
+      this.print('name: %s', await delegate.getShadeName())
+    }
+    await delegate.disconnect()
+  }
+
+  async direction (...args) {
+    let address
+    let reversed
+    const parser = new homebridgeLib.CommandLineParser(packageJson)
+    parser
+      .help('h', 'help', this.help)
+      .remaining((list) => {
+        if (list.length > 2) {
+          throw new UsageError('too many arguments')
+        }
+        const direction = list[list.length - 1]
+        if (direction === 'normal' || direction === 'reversed') {
+          reversed = list.pop() === 'reversed'
+        }
+        if (list.length === 2) {
+          throw new UsageError(`${list[1]}: invalid direction`)
+        }
+        if (list.length === 1) {
+          address = homebridgeLib.OptionParser.toString('address', list[0], true)
+        }
+      })
+      .parse(...args)
+    const delegate = await this.createDelegate(address)
+    if (reversed != null) {
+      await delegate.setMotorDirection(reversed ? 1 : 0)
+    }
+    const motorDirection = await delegate.getMotorDirection()
+    await delegate.disconnect()
+    this.print('motor direction: %s', motorDirection ? 'reversed' : 'normal')
+  }
+
+  async tuning (...args) {
+    let address
+    const tuning = {}
+    const parser = new homebridgeLib.CommandLineParser(packageJson)
+    parser
+      .help('h', 'help', this.help)
+      .option('a', 'acceleration', (value) => {
+        tuning.motorAcceleration = homebridgeLib.OptionParser.toInt(
+          'acceleration', value, 0, 255, true
+        )
+      })
+      .option('d', 'deceleration', (value) => {
+        tuning.motorDeceleration = homebridgeLib.OptionParser.toInt(
+          'deceleration', value, 0, 255, true
+        )
+      })
+      .option('s', 'stall', (value) => {
+        tuning.motorUstallAcceleration = homebridgeLib.OptionParser.toInt(
+          'stall', value, 0, 255, true
+        )
+      })
+      .remaining((list) => {
+        if (list.length > 1) {
+          throw new UsageError('too many arguments')
+        }
+        if (list.length === 1) {
+          address = homebridgeLib.OptionParser.toString('address', list[0], true)
+        }
+      })
+      .parse(...args)
+    const delegate = await this.createDelegate(address)
+    if (tuning.motorAcceleration != null) {
+      await delegate.setMotorAcceleration(tuning.motorAcceleration)
+    }
+    if (tuning.motorDeceleration != null) {
+      await delegate.setMotorDeceleration(tuning.motorDeceleration)
+    }
+    if (tuning.motorUstallAcceleration != null) {
+      await delegate.setMotorUstallAcceleration(tuning.motorUstallAcceleration)
+    }
+    const {
+      motorAcceleration, motorDeceleration, motorUstallAcceleration
+    } = await delegate.getMotorTuning()
+    await delegate.disconnect()
+    this.print('acceleration: %d', motorAcceleration)
+    this.print('deceleration: %d', motorDeceleration)
+    this.print('stall acceleration: %d', motorUstallAcceleration)
+  }
+
+  async export (...args) {
+    const address = this._parse(...args)
+    const delegate = await this.createDelegate(address)
+    const config = await delegate.exportConfig()
+    await delegate.disconnect()
+    const jsonFormatter = new homebridgeLib.JsonFormatter()
+    this.print(jsonFormatter.stringify(config))
+  }
+
+  async import (...args) {
+    let address
+    let file
+    let dryRun = false
+    const parser = new homebridgeLib.CommandLineParser(packageJson)
+    parser
+      .help('h', 'help', this.help)
+      .flag('n', 'dryRun', () => { dryRun = true })
+      .remaining((list) => {
+        if (list.length > 2) {
+          throw new UsageError('too many arguments')
+        }
+        if (list.length === 0) {
+          throw new UsageError('missing file')
+        }
+        if (list.length === 2) {
+          address = homebridgeLib.OptionParser.toString('address', list.shift(), true)
+        }
+        file = list[0]
+      })
+      .parse(...args)
+    let config
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'))
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`)
+    }
+    const delegate = await this.createDelegate(address)
+    const changes = await delegate.importConfig(config, dryRun)
+    await delegate.disconnect()
+    if (changes.length === 0) {
+      this.print('no changes')
+    }
+    for (const change of changes) {
+      if (change.key === 'trigger') {
+        const trigger = change.to == null ? change.from : change.to
+        this.print(
+          '%s trigger%s: %s, position: %d%%', change.to == null ? '-' : '+',
+          change.to == null ? ' ' + trigger.id : '',
+          SomaClient.formatTrigger(trigger),
+          this._fromTriggerPosition(delegate, trigger.position)
+        )
+      } else {
+        this.print('%s: %j -> %j', change.key, change.from, change.to)
+      }
+    }
+  }
+
+  async triggers (...args) {
+    let address
+    let command = 'list'
+    let commandArgs = []
+    const parser = new homebridgeLib.CommandLineParser(packageJson)
+    parser
+      .help('h', 'help', this.help)
+      .remaining((list) => {
+        if (list.length > 0 && triggersUsage[list[0]] == null) {
+          address = homebridgeLib.OptionParser.toString('address', list.shift(), true)
+        }
+        if (list.length > 0) {
+          command = list.shift()
+          if (triggersUsage[command] == null) {
+            throw new UsageError(`${command}: unknown command`)
+          }
+        }
+        commandArgs = list
+      })
+      .parse(...args)
+    this.usage = `${b('soma triggers')} [${u('device')}] ${triggersUsage[command]}`
+    this.help = triggersHelp[command]
+    const { id, trigger } = this._parseTrigger(command, commandArgs)
+    const delegate = await this.createDelegate(address)
+    const jsonFormatter = new homebridgeLib.JsonFormatter()
+    switch (command) {
+      case 'list':
+        for (const id of await delegate.getTriggers()) {
+          const trigger = await delegate.getTrigger(id)
+          this.print(
+            '%d: %s, position: %d%%%s%s', id, SomaClient.formatTrigger(trigger),
+            this._fromTriggerPosition(delegate, trigger.position),
+            trigger.morningMode ? ', morning mode' : '',
+            trigger.enabled ? '' : ' (disabled)'
+          )
+        }
+        break
+      case 'show':
+        if (id == null) {
+          const triggers = {}
+          for (const id of await delegate.getTriggers()) {
+            triggers[id] = this._showTrigger(delegate, await delegate.getTrigger(id))
+          }
+          this.print(jsonFormatter.stringify(triggers))
+        } else {
+          this.print(jsonFormatter.stringify(
+            this._showTrigger(delegate, await delegate.getTrigger(id))
+          ))
+        }
+        break
+      case 'add': {
+        trigger.position = this._toTriggerPosition(delegate, trigger.position)
+        const newId = await delegate.addTrigger(trigger)
+        this.print(jsonFormatter.stringify(
+          this._showTrigger(delegate, await delegate.getTrigger(newId))
+        ))
+        break
+      }
+      case 'edit': {
+        const current = await delegate.getTrigger(id)
+        if (trigger.type != null) {
+          delete current.time
+          delete current.offset
+          delete current.lightLevel
+        }
+        if (trigger.position != null) {
+          trigger.position = this._toTriggerPosition(delegate, trigger.position)
+        }
+        await delegate.editTrigger(id, Object.assign(current, trigger))
+        this.print(jsonFormatter.stringify(
+          this._showTrigger(delegate, await delegate.getTrigger(id))
+        ))
+        break
+      }
+      case 'enable':
+      case 'disable':
+        this.print(jsonFormatter.stringify(this._showTrigger(
+          delegate, await delegate.setTriggerEnabled(id, command === 'enable')
+        )))
+        break
+      case 'remove':
+        await delegate.removeTrigger(id)
+        break
+      case 'clear':
+        await delegate.clearTriggers()
+        break
+      default:
+        break
+    }
+    await delegate.disconnect()
+  }
+
+  _parseTrigger (command, args) {
+    const result = { trigger: {} }
+    const trigger = result.trigger
+    function setType (type, key, value) {
+      if (trigger.type != null) {
+        throw new UsageError('more than one trigger condition')
+      }
+      trigger.type = type
+      if (key != null) {
+        trigger[key] = value
+      }
+    }
+    const parser = new homebridgeLib.CommandLineParser(packageJson)
+    parser.help('h', 'help', this.help)
+    if (command === 'add' || command === 'edit') {
+      parser
+        .option('d', 'days', (value) => {
+          try {
+            trigger.weekdays = SomaClient.parseWeekdays(value)
+          } catch (error) {
+            throw new UsageError(error.message)
+          }
+          if (trigger.weekdays.length === 0) {
+            throw new UsageError(`${value}: no trigger weekdays`)
+          }
+        })
+        .option('t', 'time', (value) => {
+          if (!/^([0-1]?[0-9]|2[0-3]):([0-5][0-9])$/.test(value)) {
+            throw new UsageError(`${value}: invalid time`)
+          }
+          setType(SomaClient.triggerTypes.time, 'time', value)
+        })
+        .option('r', 'sunrise', (value) => {
+          setType(SomaClient.triggerTypes.sunrise, 'offset', this._parseOffset(value))
+        })
+        .option('s', 'sunset', (value) => {
+          setType(SomaClient.triggerTypes.sunset, 'offset', this._parseOffset(value))
+        })
+        .option('a', 'lightAbove', (value) => {
+          setType(
+            SomaClient.triggerTypes.lightAbove, 'lightLevel',
+            homebridgeLib.OptionParser.toInt('level', value, 1, 0xFFFF, true)
+          )
+        })
+        .option('b', 'lightBelow', (value) => {
+          setType(
+            SomaClient.triggerTypes.lightBelow, 'lightLevel',
+            homebridgeLib.OptionParser.toInt('level', value, 1, 0xFFFF, true)
+          )
+        })
+        .option('p', 'position', (value) => {
+          trigger.position = homebridgeLib.OptionParser.toInt(
+            'position', value, -100, 100, true
+          )
+        })
+        .flag('m', 'morningMode', () => { trigger.morningMode = true })
+        .flag('M', 'normalMode', () => { trigger.morningMode = false })
+    }
+    parser
+      .remaining((list) => {
+        const idRequired = !['list', 'show', 'add', 'clear'].includes(command)
+        const idAllowed = idRequired || command === 'show'
+        if (list.length > (idAllowed ? 1 : 0)) {
+          throw new UsageError('too many arguments')
+        }
+        if (list.length === 1) {
+          result.id = homebridgeLib.OptionParser.toInt('id', list[0], 1, 0xFFFF, true)
+        } else if (idRequired) {
+          throw new UsageError('missing trigger id')
+        }
+      })
+      .parse(args)
+    if (command === 'add') {
+      if (trigger.type == null) {
+        throw new UsageError('missing trigger condition')
+      }
+      if (trigger.position == null) {
+        throw new UsageError('missing trigger position')
+      }
+    }
+    return result
+  }
+
+  // Parse trigger offset, in minutes or as [+|-]H:MM, to seconds.
+  _parseOffset (value) {
+    const a = /^([+-]?)([0-9]{1,2}):([0-5][0-9])$/.exec(value)
+    if (a != null) {
+      const offset = (Number(a[2]) * 60 + Number(a[3])) * 60
+      if (offset > 43200) {
+        throw new UsageError(`${value}: invalid offset`)
+      }
+      return a[1] === '-' ? -offset : offset
+    }
+    return homebridgeLib.OptionParser.toInt('offset', value, -720, 720, true) * 60
+  }
+
+  _toTriggerPosition (delegate, position) {
+    if (delegate.venetianMode) {
+      return Math.round((position + 100) / 2)
+    }
+    if (position < 0) {
+      throw new UsageError(`${position}: invalid position`)
+    }
+    return position
+  }
+
+  _fromTriggerPosition (delegate, position) {
+    return delegate.venetianMode ? position * 2 - 100 : position
+  }
+
+  _showTrigger (delegate, trigger) {
+    return Object.assign({}, trigger, {
+      condition: SomaClient.formatTrigger(trigger),
+      position: this._fromTriggerPosition(delegate, trigger.position)
+    })
+  }
 }
 
 new Main().main()
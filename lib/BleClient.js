@@ -105,6 +105,12 @@ class BleNotification {
   }
 }
 
+// Priorities for peripherals waiting to connect.
+const priorities = {
+  background: 0,
+  foreground: 1
+}
+
 class SafeEventEmitter extends events.EventEmitter {
   emit (event, ...args) {
     try {
@@ -135,8 +141,15 @@ class BleClient extends SafeEventEmitter {
     * @param {boolean} [params.allowDuplicates = false] - Allow duplicates while scanning.
     * @param {integer} [params.rssi = -100] - Minimum RSSI value for disovered peripherals.
     * @param {integer} [params.scanTimeout = 120] - Scanning duration (in seconds).
-    * @param {integer} [params.timeout = 15] - Request timeout (in seconds).
     * Set to 0 for continuous scanning.
+    * @param {integer} [params.timeout = 15] - Default request timeout (in
+    * seconds).
+    * @param {integer} [params.retry = 5] - Default number of retries for a
+    * failed peripheral request.
+    * @param {integer} [params.connectionDuration = 120] - Default duration (in
+    * seconds) to stay connected to a peripheral after the last request.
+    * @param {?object} params.bindings - Noble bindings to use instead of the
+    * Bluetooth adapter, e.g. a {@link BleSimulator}.
     */
   constructor (params = {}) {
     super()
@@ -147,15 +160,135 @@ class BleClient extends SafeEventEmitter {
     this.scanDuration = params.scanDuration != null ? params.scanDuration : 30
     this.timeout = params.timeout != null ? params.timeout : 15
     this.maxRetry = params.retry != null ? params.retry : 5
+    this.connectionDuration = params.connectionDuration != null
+      ? params.connectionDuration
+      : 120
+
+    this._bindings = params.bindings
 
     this.requestId = 0
     this.delegates = {}
+    this._queue = []
+    this._queueStats = { connections: 0, totalWait: 0, maxWait: 0 }
     this._initNoble()
   }
 
+  /** Status of the queue of peripherals waiting to connect.
+    *
+    * Only one peripheral is connected at a time: a peripheral holds the
+    * adapter from connecting until disconnecting.  Peripherals connecting for
+    * foreground requests (issued by the user) go before peripherals
+    * connecting for background requests (issued by polling).
+    * @type {object}
+    * @property {integer} depth - Number of peripherals waiting to connect.
+    * @property {object} backlog - Number of requests waiting for the
+    * connection, by peripheral ID.
+    * @property {integer} connections - Number of connections made.
+    * @property {integer} averageWait - Average time (in ms) waiting for the
+    * adapter.
+    * @property {integer} maxWait - Longest time (in ms) waiting for the
+    * adapter.
+    */
+  get queueStatus () {
+    const backlog = {}
+    for (const entry of this._queue) {
+      backlog[entry.delegate.id] = entry.requests
+    }
+    const { connections, totalWait, maxWait } = this._queueStats
+    return {
+      depth: this._queue.length,
+      backlog,
+      connections,
+      averageWait: connections === 0 ? 0 : Math.round(totalWait / connections),
+      maxWait
+    }
+  }
+
+  // Claim the adapter for a connection to the peripheral.  Returns null when
+  // the adapter is available, or a promise that resolves when it becomes
+  // available.  Concurrent requests for the same peripheral share its place
+  // in the queue; a foreground request moves it ahead of background requests.
+  _acquire (delegate, background) {
+    if (this._owner === delegate) {
+      return null
+    }
+    if (this._owner != null && !this._owner.active) {
+      // Missed the disconnect of the peripheral holding the adapter.
+      this._release(this._owner)
+    }
+    const priority = background ? priorities.background : priorities.foreground
+    let entry = this._queue.find((entry) => entry.delegate === delegate)
+    if (entry == null) {
+      if (this._owner == null) {
+        this._owner = delegate
+        this._updateQueueStats(0)
+        return null
+      }
+      entry = { delegate, priority, requests: 0, queued: Date.now() }
+      entry.promise = new Promise((resolve) => { entry.resolve = resolve })
+      this._enqueue(entry)
+      this._contend()
+    } else if (priority > entry.priority) {
+      this._queue.splice(this._queue.indexOf(entry), 1)
+      entry.priority = priority
+      this._enqueue(entry)
+      this._contend()
+    }
+    entry.requests++
+    return entry.promise
+  }
+
+  _contend () {
+    /** Emitted when another peripheral starts waiting for the peripheral to
+      * disconnect, or when a waiting peripheral is moved ahead in the queue.
+      * @event BleClient#contended
+      */
+    this._owner.emit('contended')
+  }
+
+  _enqueue (entry) {
+    let i = this._queue.length
+    while (i > 0 && this._queue[i - 1].priority < entry.priority) {
+      i--
+    }
+    this._queue.splice(i, 0, entry)
+  }
+
+  // Hand the adapter to the next peripheral in the queue, after the
+  // peripheral has disconnected, or failed to connect.  Remove the peripheral
+  // from the queue, when it gave up waiting for the adapter.
+  _release (delegate) {
+    if (this._owner !== delegate) {
+      const i = this._queue.findIndex((entry) => entry.delegate === delegate)
+      if (i >= 0) {
+        this._queue.splice(i, 1)
+      }
+      return
+    }
+    const entry = this._queue.shift()
+    if (entry == null) {
+      delete this._owner
+      return
+    }
+    this._owner = entry.delegate
+    this._updateQueueStats(Date.now() - entry.queued)
+    entry.resolve()
+  }
+
+  _updateQueueStats (wait) {
+    this._queueStats.connections++
+    this._queueStats.totalWait += wait
+    if (wait > this._queueStats.maxWait) {
+      this._queueStats.maxWait = wait
+    }
+  }
+
   _initNoble () {
     this.scanning = false
-    this._noble = new Noble(new NobleBindings({ userChannel: true }))
+    this._noble = new Noble(this._bindings != null
+      ? this._bindings
+      : new NobleBindings({ userChannel: true })
+    )
     this._noble
       .on('warning', (message) => { this.emit('error', new Error(message)) })
       .on('stateChange', async (newState) => {
@@ -267,7 +400,10 @@ class BleClient extends SafeEventEmitter {
         supported: this.systemInfo.hwInfo.isRpi &&
           this.systemInfo.osInfo.platform === 'raspbian'
       }
-      if (this.systemInfo.osInfo.platform === 'darwin') {
+      if (this._bindings != null) {
+        this._config.adapter = this._bindings.constructor.name
+        this._config.supported = true
+      } else if (this.systemInfo.osInfo.platform === 'darwin') {
         this.macOs = true
       } else if (process.env.NOBLE_HCI_DEVICE_ID != null) {
         this._config.adapter = 'hci' + process.env.NOBLE_HCI_DEVICE_ID
@@ -491,14 +627,28 @@ const globalUuidDefinitions = {
 }
 
 class BlePeripheralDelegate extends SafeEventEmitter {
-  constructor (client, peripheral, uuidDefinitions = {}) {
+  /** Create a new peripheral delegate.
+    * @param {BleClient} client - The client.
+    * @param {Peripheral} peripheral - The Noble peripheral.
+    * @param {object} [uuidDefinitions = {}] - The service definitions.
+    * @param {?object} params - Parameters, overriding those of the client.
+    * @param {integer} [params.timeout] - Request timeout (in seconds).
+    * @param {integer} [params.retry] - Number of retries for a failed request.
+    * @param {integer} [params.connectionDuration] - Duration (in seconds) to
+    * stay connected after the last request.
+    */
+  constructor (client, peripheral, uuidDefinitions = {}, params = {}) {
     super()
     this.requestId = 0
     this.client = client
     this.peripheral = peripheral
     this.id = this._peripheral.id
     this.client.delegates[this.id] = this
-    this.connectionDuration = 120 // FIXME: make parameter
+    this.timeout = params.timeout != null ? params.timeout : client.timeout
+    this.maxRetry = params.retry != null ? params.retry : client.maxRetry
+    this.connectionDuration = params.connectionDuration != null
+      ? params.connectionDuration
+      : client.connectionDuration
 
     this.serviceDelegates = {}
     this.definitions = Object.assign({}, globalUuidDefinitions, uuidDefinitions)
@@ -561,6 +711,7 @@ class BlePeripheralDelegate extends SafeEventEmitter {
             clearTimeout(this.connectionTimer)
             delete this.connectionTimer
           }
+          this.client._release(this)
           /** Emitted when peripheral has disconnected.
             * @event BleClient#disconnected
             */
@@ -575,13 +726,41 @@ class BlePeripheralDelegate extends SafeEventEmitter {
       })
   }
 
+  /** Whether the peripheral is connecting or connected.
+    * @type {boolean}
+    */
+  get active () {
+    return this._connecting != null || (
+      this._peripheral != null && this._peripheral.state === 'connected'
+    )
+  }
+
+  /** Whether other peripherals are waiting to connect for foreground
+    * requests, while the peripheral is connected.
+    * @type {boolean}
+    */
+  get preempted () {
+    return this.client._owner === this && this.client._queue.length > 0 &&
+      this.client._queue[0].priority === priorities.foreground
+  }
+
   destroy () {
     if (this._perpheral != null) {
       this._peripheral.removeAllListeners()
     }
   }
 
-  async connect (duration = this.connectionDuration) {
+  /** Connect to the peripheral.
+    *
+    * The connection is queued until no other peripheral is connected, see
+    * {@link BleClient#queueStatus queueStatus}.  The wait times out after
+    * the request timeout times the number of tries.
+    * @param {integer} [duration] - Duration (in seconds) to stay connected
+    * after the last request.
+    * @param {boolean} [background = false] - Connect in the background, e.g.
+    * for polling, giving way to connections for user commands.
+    */
+  async connect (duration = this.connectionDuration, background = false) {
     if (this.connectionTimer != null) {
       clearTimeout(this.connectionTimer)
       delete this.connectionTimer
@@ -604,18 +783,44 @@ class BlePeripheralDelegate extends SafeEventEmitter {
       }
       return
     }
-    await this.request(
-      new BleRequest('connect'),
-      this._peripheral.connectAsync()
-    )
+    if (this._connecting == null) {
+      const acquired = this.client._acquire(this, background)
+      this._connecting = (async () => {
+        try {
+          if (acquired != null) {
+            await this.request(
+              new BleRequest('wait for connection'), acquired,
+              this.timeout * (this.maxRetry + 1)
+            )
+          }
+          await this.request(
+            new BleRequest('connect'),
+            this._peripheral.connectAsync()
+          )
+        } catch (error) {
+          this.client._release(this)
+          throw error
+        } finally {
+          delete this._connecting
+        }
+      })()
+    } else {
+      this.client._acquire(this, background)
+    }
+    await this._connecting
   }
 
   async disconnect () {
     if (this._peripheral != null && this._peripheral.state === 'connected') {
-      return this.request(
+      const response = await this.request(
         new BleRequest('disconnect'),
         this._peripheral.disconnectAsync()
       )
+      this.client._release(this)
+      return response
+    }
+    if (this._connecting == null) {
+      this.client._release(this)
     }
     this.peripheral = null
   }
@@ -675,7 +880,7 @@ class BlePeripheralDelegate extends SafeEventEmitter {
       }
       return map
     } catch (error) {
-      if (error instanceof BleError && retry < this.client.maxRetry) {
+      if (error instanceof BleError && retry < this.maxRetry) {
         return this.readAll(retry + 1)
       }
       throw error
@@ -699,7 +904,7 @@ class BlePeripheralDelegate extends SafeEventEmitter {
       const result = await delegate.read(characteristicKey)
       return result
     } catch (error) {
-      if (error instanceof BleError && retry < this.client.maxRetry) {
+      if (error instanceof BleError && retry < this.maxRetry) {
         return this.read(serviceKey, characteristicKey, retry + 1)
       }
       throw error
@@ -727,7 +932,7 @@ class BlePeripheralDelegate extends SafeEventEmitter {
       )
       return result
     } catch (error) {
-      if (error instanceof BleError && retry < this.client.maxRetry) {
+      if (error instanceof BleError && retry < this.maxRetry) {
         return this.write(
           serviceKey, characteristicKey, buffer, withoutResponse, retry + 1
         )
@@ -751,13 +956,27 @@ class BlePeripheralDelegate extends SafeEventEmitter {
       const result = this.serviceDelegates[serviceKey].subscribe(characteristicKey)
       return result
     } catch (error) {
-      if (error instanceof BleError && retry < this.client.maxRetry) {
+      if (error instanceof BleError && retry < this.maxRetry) {
         return this.subscribe(serviceKey, characteristicKey, retry + 1)
       }
       throw error
     }
   }
 
+  /** Unsubscribe from characteristic notifications.
+    * @param {string} serviceKey - UUID of the service.
+    * @param {string} characteristicKey - UUID of the service.
+    * @throws {SyntaxError} - ...
+    * @throws {BleError} - ...
+    */
+  async unsubscribe (serviceKey, characteristicKey) {
+    await this.connect()
+    if (this.serviceDelegates[serviceKey] == null) {
+      throw new RangeError(`${serviceKey}: unknown service key`)
+    }
+    return this.serviceDelegates[serviceKey].unsubscribe(characteristicKey)
+  }
+
   /** Wait for a characteristic notification.
     * @param {string} serviceKey - UUID of the service.
     * @param {string} characteristicKey - UUID of the service.
@@ -781,7 +1000,7 @@ class BlePeripheralDelegate extends SafeEventEmitter {
     * @return {BleResponse} - The response.
     * @throws {BleError} -
     */
-  async request (request, promise, timeout) {
+  async request (request, promise, timeout = this.timeout) {
     request.peripheralDelegate = this
     request.id = ++this.requestId
     /** Emitted when a request has been sent to the peripheral.
@@ -937,6 +1156,15 @@ class BleServiceDelegate {
     return delegate.subscribe()
   }
 
+  async unsubscribe (characteristicKey) {
+    await this.discover()
+    const delegate = this.characteristicDelegates[characteristicKey]
+    if (delegate == null) {
+      throw new RangeError(`${characteristicKey}: unknown characteristic key`)
+    }
+    return delegate.unsubscribe()
+  }
+
   async notification (characteristicKey) {
     await this.discover()
     const delegate = this.characteristicDelegates[characteristicKey]
@@ -1072,6 +1300,17 @@ class BleCharacteristicDelegate {
     )
   }
 
+  async unsubscribe () {
+    await this.discover()
+    if (!this.canNotify) {
+      throw new SyntaxError(`${this.key}: characteristic does not support notify`)
+    }
+    return this.request(
+      new BleRequest('unsubscribe'),
+      this.characteristic.unsubscribeAsync()
+    )
+  }
+
   async notification () {
     await this.discover()
     if (!this.canNotify) {
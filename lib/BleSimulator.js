@@ -0,0 +1,368 @@
+// homebridge-soma/lib/BleSimulator.js
+// Copyright © 2021-2022 Erik Baauw. All rights reserved.
+//
+// Homebridge plug-in for SOMA devices.
+
+'use strict'
+
+const events = require('events')
+
+const { stringToUuid } = require('./BleUtils.js')
+
+/** Simulated Bluetooth Low Energy peripheral.
+  *
+  * Subclasses define the GATT services and characteristics, using
+  * {@link BleSimulator.Peripheral#addService addService()}, and the
+  * advertisement, by overriding
+  * {@link BleSimulator.Peripheral#advertisement advertisement}.
+  * @extends EventEmitter
+  * @memberof BleSimulator
+  */
+class SimulatedPeripheral extends events.EventEmitter {
+  /** Create a new simulated peripheral.
+    * @param {object} params - Parameters.
+    * @param {string} params.address - The mac address, e.g.
+    * `'C0:FF:EE:00:00:01'`.
+    * @param {string} [params.name] - The advertised local name.
+    * @param {integer} [params.rssi = -60] - The signal strength.
+    */
+  constructor (params) {
+    super()
+    this.address = params.address.toUpperCase()
+    this.id = this.address.replace(/:/g, '').toLowerCase()
+    this.name = params.name
+    this.rssi = params.rssi != null ? params.rssi : -60
+    this.connectable = true
+    this.connected = false
+
+    /** The peripheral can be reached.
+      *
+      * Set to `false` to simulate a peripheral that is out of range: it stops
+      * advertising and doesn't respond to connection requests.
+      * @type {boolean}
+      */
+    this.inRange = true
+    this.services = {}
+  }
+
+  /** The advertisement, as Noble expects it.
+    * @type {object}
+    */
+  get advertisement () {
+    return {
+      localName: this.name,
+      txPowerLevel: undefined,
+      manufacturerData: undefined,
+      serviceData: [],
+      serviceUuids: [],
+      solicitationServiceUuids: []
+    }
+  }
+
+  /** Add a GATT service.
+    * @param {string} uuid - The service UUID.
+    * @param {object} characteristics - The characteristics, by UUID.
+    * Each characteristic has `properties`, e.g. `['read', 'notify']`, and
+    * functions `read()`, returning a Buffer, and `write(buffer)`.
+    */
+  addService (uuid, characteristics) {
+    const service = {}
+    for (const key in characteristics) {
+      service[stringToUuid(key)] = Object.assign(
+        { subscribed: false }, characteristics[key]
+      )
+    }
+    this.services[stringToUuid(uuid)] = service
+  }
+
+  _characteristic (serviceUuid, characteristicUuid) {
+    const service = this.services[serviceUuid]
+    return service == null ? null : service[characteristicUuid]
+  }
+
+  /** Send a notification to the client, when subscribed.
+    * @param {string} serviceUuid - The service UUID.
+    * @param {string} characteristicUuid - The characteristic UUID.
+    * @param {Buffer} buffer - The value.
+    */
+  notify (serviceUuid, characteristicUuid, buffer) {
+    serviceUuid = stringToUuid(serviceUuid)
+    characteristicUuid = stringToUuid(characteristicUuid)
+    const characteristic = this._characteristic(serviceUuid, characteristicUuid)
+    if (this.connected && characteristic != null && characteristic.subscribed) {
+      /** Emitted when the peripheral sends a notification.
+        * @event BleSimulator.Peripheral#notification
+        * @param {string} serviceUuid - The service UUID, as used by Noble.
+        * @param {string} characteristicUuid - The characteristic UUID, as
+        * used by Noble.
+        * @param {Buffer} buffer - The value.
+        */
+      this.emit('notification', serviceUuid, characteristicUuid, buffer)
+    }
+  }
+
+  /** Disconnect from the client.
+    */
+  disconnect () {
+    if (!this.connected) {
+      return
+    }
+    this.connected = false
+    for (const uuid in this.services) {
+      for (const key in this.services[uuid]) {
+        this.services[uuid][key].subscribed = false
+      }
+    }
+    /** Emitted when the peripheral has disconnected.
+      * @event BleSimulator.Peripheral#disconnect
+      */
+    this.emit('disconnect')
+  }
+}
+
+/** Simulated Bluetooth Low Energy adapter.
+  *
+  * Implements the Noble bindings interface, to be passed as `bindings` to
+  * {@link BleClient}, in lieu of a Bluetooth adapter.
+  * Requests to peripherals that are unknown, out of range, or that don't
+  * support the request, are left unanswered, like on a real adapter.
+  * @extends EventEmitter
+  */
+class BleSimulator extends events.EventEmitter {
+  static get Peripheral () { return SimulatedPeripheral }
+
+  /** Create a new simulated adapter.
+    * @param {?object} params - Parameters.
+    * @param {string} [params.address = 'C0:FF:EE:00:00:00'] - The mac
+    * address of the adapter.
+    * @param {integer} [params.latency = 20] - The response time (in ms).
+    * @param {integer} [params.advertisementInterval = 1000] - The interval
+    * (in ms) between advertisements.
+    */
+  constructor (params = {}) {
+    super()
+    this.address = params.address != null ? params.address : 'C0:FF:EE:00:00:00'
+    this.latency = params.latency != null ? params.latency : 20
+    this.advertisementInterval = params.advertisementInterval != null
+      ? params.advertisementInterval
+      : 1000
+    this.peripherals = {}
+    this.connectTimers = {}
+  }
+
+  /** Add a simulated peripheral.
+    * @param {BleSimulator.Peripheral} peripheral - The peripheral.
+    */
+  addPeripheral (peripheral) {
+    this.peripherals[peripheral.id] = peripheral
+    peripheral
+      .on('notification', (serviceUuid, characteristicUuid, buffer) => {
+        this._emit(
+          'read', peripheral.id, serviceUuid, characteristicUuid, buffer, true
+        )
+      })
+      .on('disconnect', () => {
+        this._emit('disconnect', peripheral.id, 0x13)
+      })
+  }
+
+  // Emit an event after the simulated response time.
+  _emit (...args) {
+    setTimeout(() => { this.emit(...args) }, this.latency)
+  }
+
+  // Return the peripheral, when connected.
+  _connected (id) {
+    const peripheral = this.peripherals[id]
+    return peripheral != null && peripheral.connected ? peripheral : null
+  }
+
+  _advertise () {
+    for (const id in this.peripherals) {
+      const peripheral = this.peripherals[id]
+      if (peripheral.inRange && !peripheral.connected) {
+        this.emit(
+          'discover', id, peripheral.address.toLowerCase(), 'public',
+          peripheral.connectable, peripheral.advertisement, peripheral.rssi
+        )
+      }
+    }
+  }
+
+  /* ===== Noble Bindings =================================================== */
+
+  init () {
+    this._emit('addressChange', this.address.toLowerCase())
+    this._emit('stateChange', 'poweredOn')
+  }
+
+  reset () {
+    this.stopScanning()
+    for (const id in this.peripherals) {
+      this.peripherals[id].disconnect()
+    }
+    this.removeAllListeners()
+  }
+
+  setScanParameters (interval, window) {
+    this._emit('scanParametersSet')
+  }
+
+  startScanning (serviceUuids, allowDuplicates) {
+    this._emit('scanStart', !allowDuplicates)
+    if (this.advertisementTimer == null) {
+      this.advertisementTimer = setInterval(() => {
+        this._advertise()
+      }, this.advertisementInterval)
+      setTimeout(() => { this._advertise() }, 2 * this.latency)
+    }
+  }
+
+  stopScanning () {
+    if (this.advertisementTimer != null) {
+      clearInterval(this.advertisementTimer)
+      delete this.advertisementTimer
+    }
+    this._emit('scanStop')
+  }
+
+  connect (id, parameters) {
+    const peripheral = this.peripherals[id]
+    if (peripheral == null || !peripheral.inRange) {
+      return
+    }
+    this.connectTimers[id] = setTimeout(() => {
+      delete this.connectTimers[id]
+      peripheral.connected = true
+      this.emit('connect', id, null)
+    }, this.latency)
+  }
+
+  cancelConnect (id, parameters) {
+    if (this.connectTimers[id] != null) {
+      clearTimeout(this.connectTimers[id])
+      delete this.connectTimers[id]
+    }
+  }
+
+  disconnect (id) {
+    const peripheral = this._connected(id)
+    if (peripheral != null) {
+      peripheral.disconnect()
+    }
+  }
+
+  updateRssi (id) {
+    const peripheral = this._connected(id)
+    if (peripheral != null) {
+      this._emit('rssiUpdate', id, peripheral.rssi)
+    }
+  }
+
+  discoverServices (id, uuids = []) {
+    const peripheral = this._connected(id)
+    if (peripheral == null) {
+      return
+    }
+    let serviceUuids = Object.keys(peripheral.services)
+    if (uuids.length > 0) {
+      serviceUuids = serviceUuids.filter((uuid) => uuids.includes(uuid))
+    }
+    this._emit('servicesDiscover', id, serviceUuids)
+  }
+
+  discoverIncludedServices (id, serviceUuid, serviceUuids) {
+    if (this._connected(id) != null) {
+      this._emit('includedServicesDiscover', id, serviceUuid, [])
+    }
+  }
+
+  discoverCharacteristics (id, serviceUuid, characteristicUuids = []) {
+    const peripheral = this._connected(id)
+    if (peripheral == null || peripheral.services[serviceUuid] == null) {
+      return
+    }
+    const service = peripheral.services[serviceUuid]
+    const characteristics = []
+    for (const uuid in service) {
+      if (
+        characteristicUuids.length === 0 || characteristicUuids.includes(uuid)
+      ) {
+        characteristics.push({ uuid, properties: service[uuid].properties })
+      }
+    }
+    this._emit('characteristicsDiscover', id, serviceUuid, characteristics)
+  }
+
+  discoverDescriptors (id, serviceUuid, characteristicUuid) {
+    if (this._connected(id) != null) {
+      this._emit(
+        'descriptorsDiscover', id, serviceUuid, characteristicUuid, []
+      )
+    }
+  }
+
+  read (id, serviceUuid, characteristicUuid) {
+    const peripheral = this._connected(id)
+    if (peripheral == null) {
+      return
+    }
+    const characteristic = peripheral._characteristic(
+      serviceUuid, characteristicUuid
+    )
+    if (
+      characteristic == null || characteristic.read == null ||
+      !characteristic.properties.includes('read')
+    ) {
+      return
+    }
+    this._emit(
+      'read', id, serviceUuid, characteristicUuid, characteristic.read(), false
+    )
+  }
+
+  write (id, serviceUuid, characteristicUuid, data, withoutResponse) {
+    const peripheral = this._connected(id)
+    if (peripheral == null) {
+      return
+    }
+    const characteristic = peripheral._characteristic(
+      serviceUuid, characteristicUuid
+    )
+    if (
+      characteristic == null || characteristic.write == null ||
+      !characteristic.properties.includes('write')
+    ) {
+      return
+    }
+    // Handle the write after acknowledging it, so any notification resulting
+    // from the write arrives after the acknowledgement.
+    setTimeout(() => {
+      if (!withoutResponse) {
+        this.emit('write', id, serviceUuid, characteristicUuid)
+      }
+      try {
+        characteristic.write(Buffer.from(data))
+      } catch (error) {} // Like a real peripheral, ignore malformed values.
+    }, this.latency)
+  }
+
+  notify (id, serviceUuid, characteristicUuid, notify) {
+    const peripheral = this._connected(id)
+    if (peripheral == null) {
+      return
+    }
+    const characteristic = peripheral._characteristic(
+      serviceUuid, characteristicUuid
+    )
+    if (
+      characteristic == null || !characteristic.properties.includes('notify')
+    ) {
+      return
+    }
+    characteristic.subscribed = notify
+    this._emit('notify', id, serviceUuid, characteristicUuid, notify)
+  }
+}
+
+module.exports = BleSimulator
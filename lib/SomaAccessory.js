@@ -12,13 +12,17 @@ const packageJson = require('../package.json')
 
 const { bufferToHex } = require('../lib/BleUtils')
 
+const maxBackoff = 3600 // seconds
+
+function modelName (venetianMode, hardware) {
+  const model = venetianMode ? 'Tilt' : 'Smart Shades'
+  return hardware.startsWith('BLINDY_V9') ? model + ' 2' : model
+}
+
 class SomaAccessory extends homebridgeLib.AccessoryDelegate {
   constructor (platform, params) {
     params.category = platform.platform.Accessory.Categories.WINDOW_COVERING
-    let model = params.venetianMode ? 'Tilt' : 'Smart Shades'
-    if (params.hardware.startsWith('BLINDY_V9')) {
-      model += ' 2'
-    }
+    const model = modelName(params.venetianMode, params.hardware)
     super(platform, {
       id: params.id,
       name: params.name,
@@ -37,15 +41,20 @@ class SomaAccessory extends homebridgeLib.AccessoryDelegate {
     this.context.firmware = params.firmware
     this.context.hardware = params.hardware
     this.context.venetianMode = params.venetianMode
+    this.context.group = params.group
     if (this.context.triggers == null) {
       this.context.triggers = {}
     }
 
     this.service = new SomaService.WindowCovering(this, {
+      tiltOrientation: platform.config.tiltOrientation,
       venetianMode: params.venetianMode
     })
     this.manageLogLevel(this.service.characteristicDelegate('logLevel'))
     this.batteryService = new homebridgeLib.ServiceDelegate.Battery(this)
+    if (platform.config.diagnostics) {
+      this.diagnosticsService = new SomaService.Diagnostics(this)
+    }
     this.triggerServices = {}
     for (const id in this.context.triggers) {
       this.triggerServices[id] = new SomaService.Trigger(
@@ -56,6 +65,8 @@ class SomaAccessory extends homebridgeLib.AccessoryDelegate {
     this.rebooted = true
     this.notYetInitialised = true
     this.pollingStage = 0
+    this.service.values.pollFailures = 0
+    this.service.values.pollingSuspended = false
   }
 
   async onDeviceFound (device) {
@@ -64,11 +75,27 @@ class SomaAccessory extends homebridgeLib.AccessoryDelegate {
       return
     }
     this.name = device.data.displayName
+    if (
+      device.data.venetianMode != null &&
+      device.data.venetianMode !== this.context.venetianMode
+    ) {
+      this.setVenetianMode(device.data.venetianMode)
+    }
     this.service.updatePosition(device.data.currentPosition)
+    if (
+      this.service.values.pollingSuspended && Date.now() >= this.resumeAfter
+    ) {
+      this.log('polling: resumed')
+      this.service.values.pollingSuspended = false
+      this.pollNext = true
+    }
     this.service.updateLastSeen()
     this.batteryService.values.batteryLevel = device.data.battery
     if (this.client == null) {
-      this.client = new SomaClient.SomaPeripheral(this.platform.client, device)
+      this.client = new SomaClient.SomaPeripheral(
+        this.platform.client, device,
+        this.platform.peripheralParams(this.context.name, this.context.address)
+      )
       this.client
         .on('error', (error) => {
           if (error instanceof SomaClient.BleError) {
@@ -113,6 +140,17 @@ class SomaAccessory extends homebridgeLib.AccessoryDelegate {
             'notification: %s/%s: %j', notification.serviceKey,
             notification.key, notification.parsedValue
           )
+          switch (notification.key) {
+            case 'motorCurrentState': {
+              const { position } = notification.parsedValue
+              this.service.notifyPosition(
+                this.context.venetianMode ? position * 2 - 100 : position
+              )
+              break
+            }
+            default:
+              break
+          }
         })
       this
         .on('identify', this.identify)
@@ -120,7 +158,40 @@ class SomaAccessory extends homebridgeLib.AccessoryDelegate {
     }
   }
 
+  // Rebuild the WindowCovering service after the device has been switched
+  // between Smart Shades and Tilt (venetian) mode.
+  setVenetianMode (venetianMode) {
+    this.log(
+      'switched to %s mode', venetianMode ? 'venetian' : 'roller blind'
+    )
+    this.context.venetianMode = venetianMode
+    this.context.model = modelName(venetianMode, this.context.hardware)
+    this.values.model = this.context.model
+    this.service.setVenetianMode(venetianMode)
+    for (const id in this.triggerServices) {
+      const trigger = this.context.triggers[id]
+      if (trigger != null && trigger.type != null) {
+        this.triggerServices[id].update(trigger)
+      }
+    }
+  }
+
+  // Update Status Low Battery from the under voltage flag, as read from the
+  // device.  The battery level itself is taken from the advertisements.
+  updateBattery (voltage, underVoltage) {
+    this.debug('battery voltage: %d mV', voltage)
+    if (underVoltage) {
+      this.batteryService.values.statusLowBattery =
+        this.Characteristics.hap.StatusLowBattery.BATTERY_LEVEL_LOW
+    } else {
+      this.batteryService.updateStatusLowBattery()
+    }
+  }
+
   async heartbeat (beat) {
+    if (this.client == null || this.service.values.pollingSuspended) {
+      return
+    }
     try {
       if (this.pollNext) {
         this.initialBeat = beat
@@ -129,30 +200,52 @@ class SomaAccessory extends homebridgeLib.AccessoryDelegate {
       if ((beat - this.initialBeat) % (this.service.values.heartrate * 60) !== 0) {
         return
       }
+      if (this.service.moving) {
+        // Don't disturb the move in progress; poll once it's done.
+        this.pollNext = true
+        return
+      }
       if (this.pollingStage === 0) {
         this.log('polling')
       } else {
         this.log('resume polling at stage %d', this.pollingStage)
       }
+      // Connect in the background, so user commands for other devices
+      // needn't wait for the poll to finish.
+      await this.client.connect(this.client.connectionDuration, true)
 
       let now = new Date()
       if (this.pollingStage < 1) {
         const { chargingLevel } = await this.client.getShadeState()
         this.service.values.currentAmbientLightLevel = chargingLevel
+        this.updateBattery(
+          await this.client.getBatteryVoltage(),
+          await this.client.getUnderVoltage()
+        )
+        const panelVoltage = await this.client.getSolarPanelVoltage() // mV
+        this.service.values.panelVoltage = Math.round(panelVoltage / 10) / 100
         this.service.values.lastUpdated = now.toString().slice(0, 24)
-        this.batteryService.values.chargingState = chargingLevel > 50
-          ? this.Characteristics.hap.ChargingState.CHARGING
-          : this.Characteristics.hap.ChargingState.NOT_CHARGING
+        this.batteryService.values.chargingState =
+          panelVoltage >= this.platform.config.chargingThreshold
+            ? this.Characteristics.hap.ChargingState.CHARGING
+            : this.Characteristics.hap.ChargingState.NOT_CHARGING
         this.pollingStage = 1
       }
 
+      await this.yieldConnection()
       if (this.pollingStage < 2) {
         const {
-          motorSpeed, localTimeOffset, bootSeq
+          motorSpeed, motorDirection, motorAcceleration, motorDeceleration,
+          motorUstallAcceleration, localTimeOffset, bootSeq, latitude, longitude
         } = await this.client.getShadeConfig()
         this.service.values.restart = false
         this.service.values.bootSeq = bootSeq
         this.service.values.motorSpeed = motorSpeed
+        if (motorAcceleration != null) {
+          this.service.values.motorAcceleration = motorAcceleration
+          this.service.values.motorDeceleration = motorDeceleration
+          this.service.values.motorUstallAcceleration = motorUstallAcceleration
+        }
         if (this.rebooted) {
           this.values.firmware = await this.client.getSoftwareRevision()
           this.context.firmware = this.values.firmware
@@ -164,17 +257,74 @@ class SomaAccessory extends homebridgeLib.AccessoryDelegate {
           }
           this.rebooted = false
         }
-        if (localTimeOffset !== now.getTimezoneOffset()) {
+        const timezoneOffset = now.getTimezoneOffset()
+        const deviceTimezoneOffset = SomaClient.toDeviceTimeOffset(timezoneOffset)
+        if (
+          deviceTimezoneOffset !== timezoneOffset &&
+          this.timezoneOffset !== timezoneOffset
+        ) {
+          this.log(
+            'device timezone offset %d rounded to %d',
+            timezoneOffset, deviceTimezoneOffset
+          )
+        }
+        this.timezoneOffset = timezoneOffset
+        if (localTimeOffset !== deviceTimezoneOffset) {
           this.log(
             'update device timezone from %d to %d',
-            localTimeOffset, now.getTimezoneOffset()
+            localTimeOffset, deviceTimezoneOffset
+          )
+          await this.client.setLocalTimeOffset(timezoneOffset)
+          delete this.today // force re-read of sunrise/sunset
+        }
+        const { location } = this.platform.config
+        if (
+          location != null && latitude != null && longitude != null && (
+            Math.abs(latitude - location.latitude) >= 0.001 ||
+            Math.abs(longitude - location.longitude) >= 0.001
+          )
+        ) {
+          this.log(
+            'update device location from %j, %j to %j, %j', latitude, longitude,
+            location.latitude, location.longitude
           )
-          await this.client.setLocalTimeOffset()
+          await this.client.setGeoPosition(location.latitude, location.longitude)
           delete this.today // force re-read of sunrise/sunset
         }
+        const touchButtonEnabled = await this.client.getTouchButtonEnabled()
+        this.service.values.lockPhysicalControls = touchButtonEnabled
+          ? this.Characteristics.hap.LockPhysicalControls.CONTROL_LOCK_DISABLED
+          : this.Characteristics.hap.LockPhysicalControls.CONTROL_LOCK_ENABLED
+        const { reverseDirection } = this.platform.deviceConfig(
+          this.context.name, this.context.address
+        )
+        if (
+          reverseDirection != null &&
+          motorDirection !== (reverseDirection ? 1 : 0)
+        ) {
+          this.log(
+            'set motor direction to %s', reverseDirection ? 'reversed' : 'normal'
+          )
+          await this.client.setMotorDirection(reverseDirection ? 1 : 0)
+        }
+        if (
+          this.platform.config.groups && (
+            this.context.group == null || now.toDateString() !== this.groupDate
+          )
+        ) {
+          // The group name hardly ever changes: read it once a day.
+          const group = await this.client.getGroupName()
+          this.groupDate = now.toDateString()
+          if (group !== this.context.group) {
+            this.log('group changed from %j to %j', this.context.group, group)
+            this.context.group = group
+            this.platform.updateGroup(this)
+          }
+        }
         this.pollingStage = 2
       }
 
+      await this.yieldConnection()
       if (this.pollingStage < 3) {
         const deviceTime = new Date(await this.client.getLocalTime())
         now = new Date()
@@ -186,9 +336,11 @@ class SomaAccessory extends homebridgeLib.AccessoryDelegate {
           )
           await this.client.setLocalTime()
         }
+        this.checkTimezoneChange(now)
         this.pollingStage = 3
       }
 
+      await this.yieldConnection()
       if (this.pollingStage < 4) {
         if (now.toDateString() !== this.today) {
           const { sunrise, sunset } = await this.client.getSunriseSunset()
@@ -201,6 +353,7 @@ class SomaAccessory extends homebridgeLib.AccessoryDelegate {
         this.pollingStage = 4
       }
 
+      await this.yieldConnection()
       if (this.pollingStage < 5) {
         const triggers = await this.client.getTriggers()
         const foundTriggers = {}
@@ -225,6 +378,15 @@ class SomaAccessory extends homebridgeLib.AccessoryDelegate {
         this.pollingStage = 5
       }
 
+      await this.yieldConnection()
+      if (this.pollingStage < 6) {
+        if (this.diagnosticsService != null) {
+          const diagnostics = await this.client.getDiagnostics()
+          this.diagnosticsService.update(diagnostics)
+        }
+        this.pollingStage = 6
+      }
+
       if (this.notYetInitialised) {
         this.debug('initialised')
         this.emit('initialised')
@@ -232,12 +394,19 @@ class SomaAccessory extends homebridgeLib.AccessoryDelegate {
       }
       this.pollingStage = 0
       this.log('polling: ok')
+      if (this.service.values.pollFailures > 0) {
+        this.log(
+          'polling: recovered after %d failures',
+          this.service.values.pollFailures
+        )
+        this.service.values.pollFailures = 0
+      }
     } catch (error) {
       if (!(error instanceof SomaClient.BleError)) {
         this.error(error)
       }
       this.warn('polling: failed at stage', this.pollingStage)
-      setTimeout(() => { this.pollNext = true }, 5000)
+      this.pollFailed()
     }
     try {
       await this.client.disconnect()
@@ -248,9 +417,67 @@ class SomaAccessory extends homebridgeLib.AccessoryDelegate {
     }
   }
 
+  // Give way to user commands for other devices between polling stages,
+  // resuming the poll in the background once they're done.
+  async yieldConnection () {
+    if (!this.client.preempted) {
+      return
+    }
+    this.debug('polling: give way at stage %d', this.pollingStage)
+    await this.client.disconnect()
+    await this.client.connect(this.client.connectionDuration, true)
+  }
+
+  // Schedule the next poll after a failed poll, doubling the delay on each
+  // consecutive failure.  After too many failures, suspend polling until an
+  // advertisement is received after the delay.
+  pollFailed () {
+    const failures = Math.min(this.service.values.pollFailures + 1, 255)
+    this.service.values.pollFailures = failures
+    const delay = Math.min(5 * 2 ** (failures - 1), maxBackoff)
+    if (failures >= this.platform.config.maxPollFailures) {
+      this.warn('polling: suspended after %d failures', failures)
+      this.service.values.pollingSuspended = true
+      this.service.values.statusFault =
+        this.Characteristics.hap.StatusFault.GENERAL_FAULT
+      this.resumeAfter = Date.now() + delay * 1000
+      return
+    }
+    this.log('polling: retry in %ds after %d failures', delay, failures)
+    setTimeout(() => { this.pollNext = true }, delay * 1000)
+  }
+
+  // Force a poll right after a timezone change (DST transition) that is due
+  // before the next regular poll.
+  checkTimezoneChange (now) {
+    if (this.timezoneTimer != null) {
+      return
+    }
+    const offset = now.getTimezoneOffset()
+    let from = now.valueOf()
+    let to = from + this.service.values.heartrate * 60 * 1000
+    if (new Date(to).getTimezoneOffset() === offset) {
+      return
+    }
+    while (to - from > 60 * 1000) {
+      const middle = Math.floor((from + to) / 2)
+      if (new Date(middle).getTimezoneOffset() === offset) {
+        from = middle
+      } else {
+        to = middle
+      }
+    }
+    this.debug('timezone change at %s', new Date(to).toString().slice(0, 24))
+    this.timezoneTimer = setTimeout(() => {
+      delete this.timezoneTimer
+      this.pollNext = true
+    }, to - now.valueOf() + 5000)
+  }
+
   async identify () {
     try {
       await this.client.notify()
+      this.service.values.pollingSuspended = false
       this.pollNext = true
     } catch (error) {
       if (!(error instanceof SomaClient.BleError)) {
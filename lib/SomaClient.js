@@ -9,7 +9,7 @@
 const BleClient = require('./BleClient')
 
 const {
-  toHex // , bufferToHex //, bufferToManufacturer, nameToKey, uuidToString
+  toHex, bufferToHex // , bufferToManufacturer, nameToKey, uuidToString
 } = require('./BleUtils.js')
 
 const motorTriggerCommandCodes = {
@@ -116,6 +116,68 @@ function parseCString (buffer) {
   return s
 }
 
+/** Parse an unsigned little-endian integer of 1, 2, or 4 bytes.
+  * @returns {?integer} - The integer, or `undefined` for other lengths.
+  */
+function parseUInt (buffer, offset, length) {
+  switch (length) {
+    case 1: return buffer.readUInt8(offset)
+    case 2: return buffer.readUInt16LE(offset)
+    case 4: return buffer.readUInt32LE(offset)
+    default: return undefined
+  }
+}
+
+/** Round a timezone offset to what the device can store.
+  *
+  * The device stores the timezone offset in whole hours, so offsets of
+  * timezones like India (UTC+5:30) or Newfoundland (UTC-3:30) are rounded.
+  * @param {integer} offset - The offset in minutes, as returned by
+  * `Date.getTimezoneOffset()`.
+  * @returns {integer} - The rounded offset in minutes.
+  */
+function toDeviceTimeOffset (offset) {
+  return Math.round(offset / -60) * -60 + 0 // + 0 to prevent -0
+}
+
+/** Compute the correction for sunrise and sunset, as computed by the device.
+  *
+  * The device keeps its clock in local time, but computes sunrise and sunset
+  * using the timezone offset in whole hours, see `toDeviceTimeOffset()`.
+  * In timezones like India (UTC+5:30) or Newfoundland (UTC-3:30), the device's
+  * sunrise and sunset are off by the remainder.
+  * SomaPeripheral compensates the offset of sunrise and sunset triggers, and
+  * the sunrise and sunset times read from the device, for this correction.
+  * @param {integer} [offset] - The offset in minutes, as returned by
+  * `Date.getTimezoneOffset()`.  Default: the local timezone.
+  * @returns {integer} - The correction in seconds, to add to the device's
+  * sunrise or sunset time, to get the actual time.
+  */
+function toSunCorrection (offset = (new Date()).getTimezoneOffset()) {
+  return (toDeviceTimeOffset(offset) - offset) * 60 + 0 // + 0 to prevent -0
+}
+
+/** Maximum length (in bytes, excluding the null terminator) of the shade
+  * and group name.
+  */
+const maxNameLength = 19
+
+/** Encode a null-terminated string.
+  * @param {string} s - The string.
+  * @returns {Buffer} - The encoded string.
+  * @throws {RangeError} - When the string is empty or too long.
+  */
+function encodeCString (s) {
+  s = s.trim()
+  const length = Buffer.byteLength(s)
+  if (length === 0 || length > maxNameLength) {
+    throw new RangeError(`${s}: invalid name: must be 1 to ${maxNameLength} bytes`)
+  }
+  const buffer = Buffer.alloc(length + 1)
+  buffer.write(s)
+  return buffer
+}
+
 /** Parse a date, localtime in seconds since epoch.
   * @returns {string} - ISO string for date, with second precision
   */
@@ -123,42 +185,93 @@ function parseDate (buffer, offset = 0) {
   return new Date(buffer.readUInt32LE(offset) * 1000).toISOString().slice(0, -5)
 }
 
+const weekdayBits = {
+  Mon: 0x02,
+  Tue: 0x04,
+  Wed: 0x08,
+  Thu: 0x10,
+  Fri: 0x20,
+  Sat: 0x40,
+  Sun: 0x01
+}
+
+/** Trigger types.
+  * @enum {string}
+  */
+const triggerTypes = Object.freeze({
+  /** At a fixed local time. */
+  time: 'time',
+  /** At sunrise, with an offset. */
+  sunrise: 'sunrise',
+  /** At sunset, with an offset. */
+  sunset: 'sunset',
+  /** When the light level rises above a threshold. */
+  lightAbove: 'lightAbove',
+  /** When the light level drops below a threshold. */
+  lightBelow: 'lightBelow'
+})
+
+/** Format trigger weekdays as human readable string.
+  * @param {string[]} weekdays - The days, from `'Mon'` to `'Sun'`.
+  * @returns {string} - The days, e.g. `'Mon Tue'` or `'Every Day'`.
+  */
+function formatWeekdays (weekdays) {
+  return weekdays.length === 7 ? 'Every Day' : weekdays.join(' ')
+}
+
+/** Parse human readable trigger weekdays.
+  * @param {string} s - The days, e.g. `'Mon Tue'`, `'mon,tue'`, or
+  * `'Every Day'`.
+  * @returns {string[]} - The days, from `'Mon'` to `'Sun'`.
+  * @throws {RangeError} - When `s` contains an invalid day.
+  */
+function parseWeekdays (s) {
+  if (/^\s*every\s*day\s*$/i.test(s)) {
+    return Object.keys(weekdayBits)
+  }
+  const days = {}
+  for (const day of s.split(/[\s,]+/)) {
+    if (day === '') {
+      continue
+    }
+    const key = day.charAt(0).toUpperCase() + day.slice(1).toLowerCase()
+    if (weekdayBits[key] == null) {
+      throw new RangeError(`${day}: invalid trigger weekday`)
+    }
+    days[key] = true
+  }
+  return Object.keys(weekdayBits).filter((day) => days[day])
+}
+
+/** Parse a trigger.
+  * @returns {object} - The trigger, see `encodeTrigger()`.
+  */
 function parseTrigger (buffer, offset = 0) {
-  const flags = buffer.readUInt8(offset + 6)
-  const result = {}
+  const value = buffer.readInt32LE(offset)
   const weekdays = buffer.readUInt8(offset + 4)
-  if ((weekdays & 0x7F) === 0x7F) {
-    result.trigger = 'Every Day'
-  } else {
-    const days = []
-    if ((weekdays & 0x02) !== 0) days.push('Mon')
-    if ((weekdays & 0x04) !== 0) days.push('Tue')
-    if ((weekdays & 0x08) !== 0) days.push('Wed')
-    if ((weekdays & 0x10) !== 0) days.push('Thu')
-    if ((weekdays & 0x20) !== 0) days.push('Fri')
-    if ((weekdays & 0x40) !== 0) days.push('Sat')
-    if ((weekdays & 0x01) !== 0) days.push('Sun')
-    result.trigger = days.join(' ')
+  const flags = buffer.readUInt8(offset + 6)
+  const result = { weekdays: [] }
+  for (const day in weekdayBits) {
+    if ((weekdays & weekdayBits[day]) !== 0) {
+      result.weekdays.push(day)
+    }
   }
   if ((flags & 0x04) !== 0) {
-    result.trigger += ' at ' + ((flags & 0x02) !== 0 ? 'Sunset' : 'Sunrise')
-    const sunOffset = buffer.readInt32LE(offset)
-    if (sunOffset < 0) {
-      result.trigger += ' -' +
-        new Date(sunOffset * -1000).toISOString().slice(12, 16)
-    } else if (sunOffset > 0) {
-      result.trigger += ' +' +
-        new Date(sunOffset * 1000).toISOString().slice(12, 16)
-    }
+    result.type = (flags & 0x02) !== 0
+      ? triggerTypes.sunset
+      : triggerTypes.sunrise
+    result.offset = value
   } else if ((flags & 0x02) !== 0) {
-    const lightlevel = buffer.readInt32LE(offset)
-    if (lightlevel > 0) {
-      result.trigger += ' when Light Level > ' + lightlevel
+    if (value > 0) {
+      result.type = triggerTypes.lightAbove
+      result.lightLevel = value
     } else {
-      result.trigger += ' when Light Level < ' + lightlevel * -1
+      result.type = triggerTypes.lightBelow
+      result.lightLevel = -value + 0 // + 0 to prevent -0
     }
   } else {
-    result.trigger += ' at ' + parseDate(buffer, offset).slice(11, 16)
+    result.type = triggerTypes.time
+    result.time = parseDate(buffer, offset).slice(11, 16)
   }
   result.position = buffer.readUInt8(offset + 5)
   result.morningMode = (flags & 0x80) !== 0
@@ -166,6 +279,146 @@ function parseTrigger (buffer, offset = 0) {
   return result
 }
 
+/** Format a trigger as human readable string.
+  * @param {object} trigger - The trigger, see `encodeTrigger()`.
+  * @returns {string} - The trigger condition, e.g. `'Mon Tue at Sunset +0:30'`.
+  */
+function formatTrigger (trigger) {
+  let s = formatWeekdays(trigger.weekdays)
+  switch (trigger.type) {
+    case triggerTypes.sunrise:
+    case triggerTypes.sunset:
+      s += trigger.type === triggerTypes.sunset ? ' at Sunset' : ' at Sunrise'
+      if (trigger.offset < 0) {
+        s += ' -' + new Date(trigger.offset * -1000).toISOString().slice(12, 16)
+      } else if (trigger.offset > 0) {
+        s += ' +' + new Date(trigger.offset * 1000).toISOString().slice(12, 16)
+      }
+      break
+    case triggerTypes.lightAbove:
+      s += ' when Light Level > ' + trigger.lightLevel
+      break
+    case triggerTypes.lightBelow:
+      s += ' when Light Level < ' + trigger.lightLevel
+      break
+    default:
+      s += ' at ' + trigger.time
+      break
+  }
+  return s
+}
+
+// Length (in bytes) of a trigger record in a trigger request or response.
+const triggerRecordLength = 14
+
+// Compensate the offset of a sunrise or sunset trigger for the timezone
+// offset rounding by the device, see `toSunCorrection()`.
+function correctTrigger (trigger, correction) {
+  if (
+    correction === 0 || (
+      trigger.type !== triggerTypes.sunrise &&
+      trigger.type !== triggerTypes.sunset
+    )
+  ) {
+    return trigger
+  }
+  const offset = trigger.offset == null ? 0 : trigger.offset
+  return Object.assign({}, trigger, { offset: offset + correction })
+}
+
+/** Encode a trigger.
+  * @param {object} trigger - The trigger.
+  * @param {string[]} [trigger.weekdays] - The days, from `'Mon'` to `'Sun'`.
+  * Default: every day.
+  * @param {triggerTypes} trigger.type - The trigger type.
+  * @param {string} [trigger.time] - The local time, as `'HH:MM'`, for
+  * `time` triggers.
+  * @param {integer} [trigger.offset = 0] - The offset in seconds, for
+  * `sunrise` and `sunset` triggers.
+  * @param {integer} [trigger.lightLevel] - The light level, from 1 for
+  * `lightAbove` triggers, or from 0 for `lightBelow` triggers.
+  * @param {integer} trigger.position - The target position.
+  * @param {boolean} [trigger.morningMode = false] - Move slowly.
+  * @param {boolean} [trigger.enabled = true] - Trigger is enabled.
+  * @param {Buffer} buffer - The buffer to encode the trigger into.
+  * @param {integer} [offset = 0] - The offset in the buffer.
+  * @throws {RangeError} - When the trigger is invalid.
+  */
+function encodeTrigger (trigger, buffer, offset = 0) {
+  let value
+  let flags = 0
+  switch (trigger.type) {
+    case triggerTypes.time: {
+      const a = /^([0-1]?[0-9]|2[0-3]):([0-5][0-9])$/.exec(trigger.time)
+      if (a == null) {
+        throw new RangeError(`${trigger.time}: invalid trigger time`)
+      }
+      const now = new Date()
+      value = Date.UTC(
+        now.getFullYear(), now.getMonth(), now.getDate(),
+        Number(a[1]), Number(a[2])
+      ) / 1000
+      break
+    }
+    case triggerTypes.sunrise:
+    case triggerTypes.sunset:
+      value = trigger.offset == null ? 0 : trigger.offset
+      if (!Number.isInteger(value) || value < -43200 || value > 43200) {
+        throw new RangeError(`${trigger.offset}: invalid trigger offset`)
+      }
+      flags |= trigger.type === triggerTypes.sunset ? 0x06 : 0x04
+      break
+    case triggerTypes.lightAbove:
+    case triggerTypes.lightBelow:
+      value = trigger.lightLevel
+      // A light level of 0 is encoded as lightBelow.
+      if (
+        !Number.isInteger(value) || value > 0xFFFF ||
+        value < (trigger.type === triggerTypes.lightAbove ? 1 : 0)
+      ) {
+        throw new RangeError(`${trigger.lightLevel}: invalid trigger light level`)
+      }
+      if (trigger.type === triggerTypes.lightBelow) {
+        value *= -1
+      }
+      flags |= 0x02
+      break
+    default:
+      throw new RangeError(`${trigger.type}: invalid trigger type`)
+  }
+  let weekdays = 0
+  for (const day of trigger.weekdays == null ? Object.keys(weekdayBits) : trigger.weekdays) {
+    if (weekdayBits[day] == null) {
+      throw new RangeError(`${day}: invalid trigger weekday`)
+    }
+    weekdays |= weekdayBits[day]
+  }
+  if (weekdays === 0) {
+    throw new RangeError('no trigger weekdays')
+  }
+  if (
+    !Number.isInteger(trigger.position) ||
+    trigger.position < 0 || trigger.position > 100
+  ) {
+    throw new RangeError(`${trigger.position}: invalid trigger position`)
+  }
+  if (trigger.morningMode) {
+    flags |= 0x80
+  }
+  if (trigger.enabled == null || trigger.enabled) {
+    flags |= 0x01
+  }
+  if (value < 0) {
+    buffer.writeInt32LE(value, offset)
+  } else {
+    buffer.writeUInt32LE(value, offset)
+  }
+  buffer.writeUInt8(weekdays, offset + 4)
+  buffer.writeUInt8(trigger.position, offset + 5)
+  buffer.writeUInt8(flags, offset + 6)
+  return buffer
+}
+
 const uuidDefinitions = {
   '00001554-B87F-490C-92CB-11BA5EA5167C': {
     name: 'Time Service',
@@ -258,7 +511,12 @@ const uuidDefinitions = {
       },
       '00001530-B87F-490C-92CB-11BA5EA5167C': { // read, write
         name: 'Motor Control',
-        f: b => toHex(b.readUInt8())
+        f: b => {
+          const value = b.readUInt8()
+          return motorControlCommandCodes[value] == null
+            ? toHex(value)
+            : motorControlCommandCodes[value]
+        }
       },
       '00001531-B87F-490C-92CB-11BA5EA5167C': { // read, write
         name: 'Motor Notify',
@@ -332,9 +590,46 @@ const uuidDefinitions = {
                       result.motorSpeed = b.readUInt8(offset)
                     }
                     break
+                  case shadeConfigCommands.motorSpeedTrigger:
+                  case shadeConfigCommands.motorAcceleration:
+                  case shadeConfigCommands.motorDeceleration:
+                  case shadeConfigCommands.motorUstallAcceleration:
+                  case shadeConfigCommands.pofCount:
+                  case shadeConfigCommands.slipLength:
+                  case shadeConfigCommands.encMax:
+                  case shadeConfigCommands.encCur:
+                  case shadeConfigCommands.slipInterval:
+                  case shadeConfigCommands.positionMoveTotal:
+                  case shadeConfigCommands.motorMoveTotal:
+                  case shadeConfigCommands.motorCurrent: // mA
+                  case shadeConfigCommands.resetReason:
+                  case shadeConfigCommands.stopReason:
+                    result[shadeConfigCommandCodes[command]] =
+                      parseUInt(b, offset, length)
+                    break
+                  case shadeConfigCommands.pid:
+                    result.pid = bufferToHex(b.slice(offset, offset + length))
+                    break
+                  case shadeConfigCommands.inCalibrationMode:
+                    if (length === 1) {
+                      result.inCalibrationMode = b.readUInt8(offset) !== 0
+                    }
+                    break
+                  case shadeConfigCommands.motorDirection:
+                    if (length === 1) {
+                      result.motorDirection = b.readUInt8(offset)
+                    }
+                    break
+                  case shadeConfigCommands.geoPosition:
+                    // Latitude and longitude in degrees, as 32-bit floats.
+                    if (length === 8) {
+                      result.latitude = Math.round(b.readFloatLE(offset) * 1e4) / 1e4
+                      result.longitude = Math.round(b.readFloatLE(offset + 4) * 1e4) / 1e4
+                    }
+                    break
                   case shadeConfigCommands.localTimeOffset:
                     if (length === 1) {
-                      result.localTimeOffset = b.readInt8(offset) * -60
+                      result.localTimeOffset = b.readInt8(offset) * -60 + 0
                     }
                     break
                   case shadeConfigCommands.bootSeq:
@@ -386,6 +681,12 @@ function parseManufacturerData (buffer) {
 
 class SomaClient extends BleClient {
   static get SomaPeripheral () { return SomaPeripheral }
+  static get triggerTypes () { return triggerTypes }
+  static get formatTrigger () { return formatTrigger }
+  static get formatWeekdays () { return formatWeekdays }
+  static get parseWeekdays () { return parseWeekdays }
+  static get toDeviceTimeOffset () { return toDeviceTimeOffset }
+  static get toSunCorrection () { return toSunCorrection }
 
   constructor (params = {}) {
     params.allowDuplicates = true
@@ -407,10 +708,13 @@ class SomaClient extends BleClient {
   */
 class SomaPeripheral extends BleClient.BlePeripheralDelegate {
   /** Create a new peripheral delegate.
+    * @param {SomaClient} client
     * @param {Device} device
+    * @param {?object} params - Parameters, see
+    * {@link BleClient.BlePeripheralDelegate BlePeripheralDelegate}.
     */
-  constructor (client, device) {
-    super(client, device.peripheral, uuidDefinitions)
+  constructor (client, device, params) {
+    super(client, device.peripheral, uuidDefinitions, params)
     this._venetianMode = device.data.venetianMode
   }
 
@@ -459,51 +763,157 @@ class SomaPeripheral extends BleClient.BlePeripheralDelegate {
     )).parsedValue.triggers
   }
 
+  /** Subscribe to position notifications, while the motor moves.
+    *
+    * The position is notified as `motorService/motorCurrentState`
+    * notification, from 0 to 100.  In venetian mode, 50 means open.
+    */
+  async subscribePosition () {
+    return this.subscribe('motorService', 'motorCurrentState')
+  }
+
+  async unsubscribePosition () {
+    return this.unsubscribe('motorService', 'motorCurrentState')
+  }
+
+  /** Move to a position.
+    * @param {integer} position - The position.
+    */
   async setPosition (position) {
     return this.write(
       'motorService', 'motorTargetState', Buffer.from([position])
     )
   }
 
+  /** Get a trigger.
+    * @param {integer} id - The ID of the trigger.
+    * @returns {object} - The trigger, see `encodeTrigger()`, with its `id`.
+    * @throws {Error} - When the device rejects the request.
+    */
   async getTrigger (id) {
-    const buffer = Buffer.alloc(17, 0x37)
-    buffer.writeUInt8(motorTriggerCommands.read, 0)
+    const { parsedValue } = await this._triggerRequest(
+      motorTriggerCommands.read, id
+    )
+    delete parsedValue.status
+    delete parsedValue.command
+    return correctTrigger(parsedValue, -toSunCorrection())
+  }
+
+  /** Enable or disable a trigger.
+    *
+    * Only the enabled flag is changed; the trigger is written back as read
+    * from the device, so no other settings are lost.
+    * @param {integer} id - The ID of the trigger.
+    * @param {boolean} enabled - Enable the trigger.
+    * @returns {object} - The updated trigger.
+    * @throws {Error} - When the device rejects the request.
+    */
+  async setTriggerEnabled (id, enabled) {
+    const { buffer } = await this._triggerRequest(motorTriggerCommands.read, id)
+    const record = Buffer.from(buffer.slice(4, 4 + triggerRecordLength))
+    const flags = record.readUInt8(6)
+    record.writeUInt8(enabled ? flags | 0x01 : flags & ~0x01, 6)
+    await this._triggerRequest(motorTriggerCommands.edit, id, record)
+    return this.getTrigger(id)
+  }
+
+  // Send a trigger request and return the Motor Trigger Response.
+  // The trigger is either an object, see `encodeTrigger()`, or the raw
+  // trigger record, as read from the device.
+  async _triggerRequest (command, id = 0, trigger) {
+    const buffer = Buffer.alloc(3 + triggerRecordLength, 0x37)
+    buffer.writeUInt8(command, 0)
     buffer.writeUInt16LE(id, 1)
+    if (Buffer.isBuffer(trigger)) {
+      trigger.copy(buffer, 3)
+    } else if (trigger != null) {
+      encodeTrigger(correctTrigger(trigger, toSunCorrection()), buffer, 3)
+    }
     await this.subscribe('motorService', 'motorTriggerResponse')
     await this.write('motorService', 'motorTriggerRequest', buffer)
-    return (await this.notification(
+    const response = await this.notification(
       'motorService', 'motorTriggerResponse'
-    )).response[0].parsedValue
+    )
+    if (response.parsedValue.status !== 'success') {
+      throw new Error(
+        `trigger ${id}: ${motorTriggerCommandCodes[command]}: ${response.parsedValue.status}`
+      )
+    }
+    return response
   }
 
-  async setTriggerEnabled (id, enabled) {
-    const response = await this.getTrigger(id)
-    const buffer = Buffer.alloc(17, 0x37)
-    buffer.writeUInt8(motorTriggerCommands.edit, 0)
-    buffer.writeUInt16LE(id, 1)
-    buffer.writeUInt32LE(response.buffer.readUInt32LE(4), 3) // timestamp
-    buffer.writeUInt8(response.buffer.readUInt8(8), 7) // weekdays
-    buffer.writeUInt8(response.buffer.readUInt8(9), 8) // position
-    let flags = response.buffer.readUInt8(10)
-    if (enabled) {
-      flags |= 0x01
-    } else {
-      flags &= ~0x01
+  /** Add a trigger.
+    * @param {object} trigger - The trigger, see `encodeTrigger()`.
+    * @returns {integer} - The ID of the new trigger.
+    * @throws {RangeError} - When the trigger is invalid.
+    * @throws {Error} - When the device rejects the trigger.
+    */
+  async addTrigger (trigger) {
+    const ids = await this.getTriggers()
+    await this._triggerRequest(motorTriggerCommands.add, 0, trigger)
+    for (const id of await this.getTriggers()) {
+      if (!ids.includes(id)) {
+        return id
+      }
     }
-    buffer.writeUInt8(flags, 9)
-    await this.write('motorService', 'motorTriggerRequest', buffer)
-    return (await this.getTrigger(id)).parsedValue
+    throw new Error('add trigger: no new trigger ID')
   }
 
-  async getVenetianMode () {
+  /** Edit a trigger.
+    * @param {integer} id - The ID of the trigger.
+    * @param {object} trigger - The trigger, see `encodeTrigger()`.
+    * @throws {RangeError} - When the trigger is invalid.
+    * @throws {Error} - When the device rejects the trigger.
+    */
+  async editTrigger (id, trigger) {
+    await this._triggerRequest(motorTriggerCommands.edit, id, trigger)
+  }
+
+  /** Remove a trigger.
+    * @param {integer} id - The ID of the trigger.
+    * @throws {Error} - When the device rejects the request.
+    */
+  async removeTrigger (id) {
+    await this._triggerRequest(motorTriggerCommands.remove, id)
+  }
+
+  /** Remove all triggers.
+    * @throws {Error} - When the device rejects the request.
+    */
+  async clearTriggers () {
+    await this._triggerRequest(motorTriggerCommands.clearAll)
+  }
+
+  async _motorCalibration (command) {
     await this.subscribe('motorService', 'motorCalibration')
     await this.write(
-      'motorService', 'motorCalibration',
-      Buffer.from([motorCalibrationCommandCodes.queryVenetianMode])
+      'motorService', 'motorCalibration', Buffer.from([command])
     )
-    return (await this.notification(
+    const { venetianMode } = (await this.notification(
       'motorService', 'motorCalibration'
-    )).result[0].parsedValue.venetianMode
+    )).response[0].parsedValue
+    if (venetianMode != null) {
+      this._venetianMode = venetianMode
+    }
+    return venetianMode
+  }
+
+  async getVenetianMode () {
+    return this._motorCalibration(motorCalibrationCommands.queryVenetianMode)
+  }
+
+  /** Switch venetian mode on or off.
+    *
+    * In venetian mode, the device acts as Tilt, with positions from -100
+    * (closed up) to 100 (closed down).
+    * @param {boolean} on - Switch venetian mode on.
+    * @returns {boolean} - The venetian mode, as reported by the device.
+    */
+  async setVenetianMode (on) {
+    return this._motorCalibration(on
+      ? motorCalibrationCommands.venetianModeOn
+      : motorCalibrationCommands.venetianModeOff
+    )
   }
 
   async _setMotorControl (command) {
@@ -540,6 +950,41 @@ class SomaPeripheral extends BleClient.BlePeripheralDelegate {
     return this.write('motorService', 'motorNotify', Buffer.from([0x01]))
   }
 
+  /** Get the voltage of the battery.
+    * @returns {integer} - The voltage in mV.
+    */
+  async getBatteryVoltage () {
+    return (await this.read('motorService', 'motorBatteryLevel')).parsedValue
+  }
+
+  /** Check whether the motor reports a battery under voltage.
+    * @returns {boolean} - The battery voltage is too low to move the motor.
+    */
+  async getUnderVoltage () {
+    return (await this.read('motorService', 'motorUnderVoltage')).parsedValue
+  }
+
+  /** Get the voltage of the solar panel.
+    * @returns {integer} - The voltage in mV.
+    */
+  async getSolarPanelVoltage () {
+    return (await this.read(
+      'motorService', 'motorSolarPanelVoltage'
+    )).parsedValue
+  }
+
+  async getTouchButtonEnabled () {
+    return (await this.read(
+      'motorService', 'motorTouchButtonEnabled'
+    )).parsedValue
+  }
+
+  async setTouchButtonEnabled (enabled) {
+    return this.write(
+      'motorService', 'motorTouchButtonEnabled', Buffer.from([enabled ? 1 : 0])
+    )
+  }
+
   /* ===== Shade Service ==================================================== */
 
   async restart () {
@@ -553,6 +998,26 @@ class SomaPeripheral extends BleClient.BlePeripheralDelegate {
     return (await this.read('shadeService', 'shadeName')).parsedValue
   }
 
+  /** Set the shade name, as advertised by the device.
+    * @param {string} name - The name.
+    * @throws {RangeError} - When the name is empty or too long.
+    */
+  async setShadeName (name) {
+    return this.write('shadeService', 'shadeName', encodeCString(name))
+  }
+
+  async getGroupName () {
+    return (await this.read('shadeService', 'groupName')).parsedValue
+  }
+
+  /** Set the group name.
+    * @param {string} name - The name.
+    * @throws {RangeError} - When the name is empty or too long.
+    */
+  async setGroupName (name) {
+    return this.write('shadeService', 'groupName', encodeCString(name))
+  }
+
   async getShadeMacAddress () {
     return (await this.read('shadeService', 'shadeMacAddress')).parsedValue
   }
@@ -575,13 +1040,117 @@ class SomaPeripheral extends BleClient.BlePeripheralDelegate {
   async getShadeConfig () {
     return this._getShadeConfig([
       shadeConfigCommands.motorSpeed,
+      shadeConfigCommands.motorDirection,
+      shadeConfigCommands.motorAcceleration,
+      shadeConfigCommands.motorDeceleration,
+      shadeConfigCommands.motorUstallAcceleration,
       shadeConfigCommands.localTimeOffset,
-      shadeConfigCommands.bootSeq
+      shadeConfigCommands.bootSeq,
+      shadeConfigCommands.geoPosition
+    ])
+  }
+
+  /** Get all shade config values in a single request.
+    * @returns {object} - The values, by shade config key.  Reset and stop
+    * reasons are returned as raw value, as their meaning hasn't been
+    * documented.
+    */
+  async getFullShadeConfig () {
+    return this._getShadeConfig(Object.keys(shadeConfigCommandCodes).map(
+      (key) => Number(key)
+    ).filter((command) => ![
+      shadeConfigCommands.increaseEncoderBy2,
+      shadeConfigCommands.increaseEncoderBy4,
+      shadeConfigCommands.query
+    ].includes(command)))
+  }
+
+  async getDiagnostics () {
+    return this._getShadeConfig([
+      shadeConfigCommands.bootSeq,
+      shadeConfigCommands.positionMoveTotal,
+      shadeConfigCommands.motorMoveTotal,
+      shadeConfigCommands.pofCount,
+      shadeConfigCommands.resetReason,
+      shadeConfigCommands.stopReason,
+      shadeConfigCommands.motorCurrent
     ])
   }
 
+  /** Get today's sunrise and sunset, as computed by the device.
+    *
+    * The times are corrected for the timezone offset rounding by the device,
+    * see `toSunCorrection()`.
+    * @returns {object} - The `sunrise` and `sunset`, as local time ISO string,
+    * with minute precision.
+    */
   async getSunriseSunset () {
-    return this._getShadeConfig([shadeConfigCommands.sunriseSunset])
+    const result = await this._getShadeConfig([
+      shadeConfigCommands.sunriseSunset
+    ])
+    const correction = toSunCorrection()
+    for (const key of ['sunrise', 'sunset']) {
+      if (result[key] != null && correction !== 0) {
+        result[key] = new Date(
+          Date.parse(result[key] + 'Z') + correction * 1000
+        ).toISOString().slice(0, 16)
+      }
+    }
+    return result
+  }
+
+  /** Get the reason the motor stopped last.
+    * @returns {integer} - The raw stop reason.
+    */
+  async getStopReason () {
+    return (await this._getShadeConfig([
+      shadeConfigCommands.stopReason
+    ])).stopReason
+  }
+
+  async getMotorDirection () {
+    return (await this._getShadeConfig([
+      shadeConfigCommands.motorDirection
+    ])).motorDirection
+  }
+
+  /** Set the motor direction.
+    * @param {integer} direction - `0` for normal, `1` for reversed.
+    */
+  async setMotorDirection (direction) {
+    return this.write(
+      'shadeService', 'shadeConfig',
+      Buffer.from([shadeConfigCommands.motorDirection, 0x01, direction ? 1 : 0])
+    )
+  }
+
+  async getGeoPosition () {
+    const { latitude, longitude } = await this._getShadeConfig([
+      shadeConfigCommands.geoPosition
+    ])
+    return { latitude, longitude }
+  }
+
+  /** Set the geographic position, used by the device to compute sunrise and
+    * sunset.
+    * @param {number} latitude - The latitude, from -90 to 90 degrees.
+    * @param {number} longitude - The longitude, from -180 to 180 degrees.
+    * @throws {RangeError} - When latitude or longitude is invalid.
+    */
+  async setGeoPosition (latitude, longitude) {
+    if (typeof latitude !== 'number' || !(latitude >= -90 && latitude <= 90)) {
+      throw new RangeError(`${latitude}: invalid latitude`)
+    }
+    if (typeof longitude !== 'number' || !(longitude >= -180 && longitude <= 180)) {
+      throw new RangeError(`${longitude}: invalid longitude`)
+    }
+    const buffer = Buffer.from([shadeConfigCommands.geoPosition, 0x08])
+    const value = Buffer.alloc(8)
+    value.writeFloatLE(latitude, 0)
+    value.writeFloatLE(longitude, 4)
+    return this.write(
+      'shadeService', 'shadeConfig', Buffer.concat([buffer, value])
+    )
   }
 
   async setMotorSpeed (speed) {
@@ -591,13 +1160,219 @@ class SomaPeripheral extends BleClient.BlePeripheralDelegate {
     )
   }
 
-  async setLocalTimeOffset () {
+  /** Get the motor acceleration settings.
+    * @returns {object} - The `motorAcceleration`, `motorDeceleration`, and
+    * `motorUstallAcceleration`.
+    */
+  async getMotorTuning () {
+    const {
+      motorAcceleration, motorDeceleration, motorUstallAcceleration
+    } = await this._getShadeConfig([
+      shadeConfigCommands.motorAcceleration,
+      shadeConfigCommands.motorDeceleration,
+      shadeConfigCommands.motorUstallAcceleration
+    ])
+    return { motorAcceleration, motorDeceleration, motorUstallAcceleration }
+  }
+
+  async _setMotorTuning (command, value) {
+    if (!Number.isInteger(value) || value < 0 || value > 255) {
+      throw new RangeError(
+        `${value}: invalid ${shadeConfigCommandCodes[command]}: must be 0 to 255`
+      )
+    }
+    return this.write(
+      'shadeService', 'shadeConfig', Buffer.from([command, 0x01, value])
+    )
+  }
+
+  /** Set the acceleration of the motor when starting.
+    * @param {integer} value - The acceleration, from 0 to 255.
+    * @throws {RangeError} - When value is invalid.
+    */
+  async setMotorAcceleration (value) {
+    return this._setMotorTuning(shadeConfigCommands.motorAcceleration, value)
+  }
+
+  /** Set the deceleration of the motor when stopping.
+    * @param {integer} value - The deceleration, from 0 to 255.
+    * @throws {RangeError} - When value is invalid.
+    */
+  async setMotorDeceleration (value) {
+    return this._setMotorTuning(shadeConfigCommands.motorDeceleration, value)
+  }
+
+  /** Set the acceleration of the motor when restarting after a stall.
+    * @param {integer} value - The acceleration, from 0 to 255.
+    * @throws {RangeError} - When value is invalid.
+    */
+  async setMotorUstallAcceleration (value) {
+    return this._setMotorTuning(
+      shadeConfigCommands.motorUstallAcceleration, value
+    )
+  }
+
+  /** Set the timezone offset.
+    * @param {integer} [offset] - The offset in minutes, as returned by
+    * `Date.getTimezoneOffset()`.  Default: the local timezone.
+    * The offset is rounded to whole hours, see `toDeviceTimeOffset()`.
+    */
+  async setLocalTimeOffset (offset = (new Date()).getTimezoneOffset()) {
     const buffer = Buffer.from([
       shadeConfigCommands.localTimeOffset, 0x01, 0x00
     ])
-    buffer.writeInt8(Math.round((new Date()).getTimezoneOffset() / -60), 2)
+    buffer.writeInt8(toDeviceTimeOffset(offset) / -60, 2)
     return this.write('shadeService', 'shadeConfig', buffer)
   }
+
+  /* ===== Configuration ==================================================== */
+
+  /** Get the device configuration.
+    * @returns {object} - The configuration, to be passed to
+    * `importConfig()`.
+    */
+  async exportConfig () {
+    const {
+      motorSpeed, motorDirection, motorAcceleration, motorDeceleration,
+      motorUstallAcceleration, localTimeOffset, latitude, longitude
+    } = await this._getShadeConfig([
+      shadeConfigCommands.motorSpeed,
+      shadeConfigCommands.motorDirection,
+      shadeConfigCommands.motorAcceleration,
+      shadeConfigCommands.motorDeceleration,
+      shadeConfigCommands.motorUstallAcceleration,
+      shadeConfigCommands.localTimeOffset,
+      shadeConfigCommands.geoPosition
+    ])
+    const config = {
+      name: await this.getShadeName(),
+      group: await this.getGroupName(),
+      motorSpeed,
+      motorDirection,
+      motorAcceleration,
+      motorDeceleration,
+      motorUstallAcceleration,
+      venetianMode: await this.getVenetianMode(),
+      touchButtonEnabled: await this.getTouchButtonEnabled(),
+      localTimeOffset,
+      geoPosition: { latitude, longitude },
+      triggers: []
+    }
+    for (const id of await this.getTriggers()) {
+      config.triggers.push(await this.getTrigger(id))
+    }
+    return config
+  }
+
+  /** Apply a device configuration, as returned by `exportConfig()`.
+    *
+    * Only settings that differ from the current configuration are written.
+    * Triggers are matched by their settings; triggers that are not in
+    * `config` are removed, and missing triggers are added.
+    * @param {object} config - The configuration.
+    * @param {boolean} [dryRun = false] - Don't apply the configuration, only
+    * compute the changes.
+    * @returns {object[]} - The changes, as `key`, `from`, and `to`.
+    */
+  async importConfig (config, dryRun = false) {
+    const current = await this.exportConfig()
+    const changes = []
+    if (config.localTimeOffset != null) {
+      config = Object.assign({}, config, {
+        localTimeOffset: toDeviceTimeOffset(config.localTimeOffset)
+      })
+    }
+    for (const key of [
+      'name', 'group', 'motorSpeed', 'motorDirection', 'motorAcceleration',
+      'motorDeceleration', 'motorUstallAcceleration', 'venetianMode',
+      'touchButtonEnabled', 'localTimeOffset'
+    ]) {
+      if (config[key] != null && config[key] !== current[key]) {
+        changes.push({ key, from: current[key], to: config[key] })
+      }
+    }
+    if (
+      config.geoPosition != null && (
+        Math.abs(config.geoPosition.latitude - current.geoPosition.latitude) > 1e-4 ||
+        Math.abs(config.geoPosition.longitude - current.geoPosition.longitude) > 1e-4
+      )
+    ) {
+      changes.push({
+        key: 'geoPosition', from: current.geoPosition, to: config.geoPosition
+      })
+    }
+    if (config.triggers != null) {
+      const triggerKey = (trigger) => {
+        return JSON.stringify([
+          trigger.weekdays, trigger.type, trigger.time, trigger.offset,
+          trigger.lightLevel, trigger.position, !!trigger.morningMode,
+          trigger.enabled == null || trigger.enabled
+        ])
+      }
+      const wanted = config.triggers.map(triggerKey)
+      const found = current.triggers.map(triggerKey)
+      current.triggers.forEach((trigger, i) => {
+        if (!wanted.includes(found[i])) {
+          changes.push({ key: 'trigger', from: trigger, to: null })
+        }
+      })
+      config.triggers.forEach((trigger, i) => {
+        if (!found.includes(wanted[i])) {
+          changes.push({ key: 'trigger', from: null, to: trigger })
+        }
+      })
+    }
+    if (dryRun) {
+      return changes
+    }
+    for (const change of changes) {
+      switch (change.key) {
+        case 'name':
+          await this.setShadeName(change.to)
+          break
+        case 'group':
+          await this.setGroupName(change.to)
+          break
+        case 'motorSpeed':
+          await this.setMotorSpeed(change.to)
+          break
+        case 'motorDirection':
+          await this.setMotorDirection(change.to)
+          break
+        case 'motorAcceleration':
+          await this.setMotorAcceleration(change.to)
+          break
+        case 'motorDeceleration':
+          await this.setMotorDeceleration(change.to)
+          break
+        case 'motorUstallAcceleration':
+          await this.setMotorUstallAcceleration(change.to)
+          break
+        case 'venetianMode':
+          await this.setVenetianMode(change.to)
+          break
+        case 'touchButtonEnabled':
+          await this.setTouchButtonEnabled(change.to)
+          break
+        case 'localTimeOffset':
+          await this.setLocalTimeOffset(change.to)
+          break
+        case 'geoPosition':
+          await this.setGeoPosition(change.to.latitude, change.to.longitude)
+          break
+        case 'trigger':
+          if (change.to == null) {
+            await this.removeTrigger(change.from.id)
+          } else {
+            await this.addTrigger(change.to)
+          }
+          break
+        default:
+          break
+      }
+    }
+    return changes
+  }
 }
 
 module.exports = SomaClient
@@ -0,0 +1,89 @@
+// homebridge-soma/lib/SomaGroupAccessory.js
+// Copyright © 2021-2022 Erik Baauw. All rights reserved.
+//
+// Homebridge plug-in for SOMA devices.
+
+'use strict'
+
+const homebridgeLib = require('homebridge-lib')
+const SomaService = require('./SomaService')
+const packageJson = require('../package.json')
+
+/** Accessory for the SOMA devices sharing the same group name.
+  *
+  * Setting the target position of the group moves all members; the current
+  * position of the group is the average of the members' positions.
+  * @extends AccessoryDelegate
+  */
+class SomaGroupAccessory extends homebridgeLib.AccessoryDelegate {
+  constructor (platform, params) {
+    super(platform, {
+      id: 'group-' + params.group,
+      name: params.group,
+      category: platform.platform.Accessory.Categories.WINDOW_COVERING,
+      manufacturer: 'SOMA Smart Home',
+      model: 'Group',
+      firmware: packageJson.version
+    })
+    this.context.group = params.group
+    this.members = {}
+    this.update = this.update.bind(this)
+
+    this.service = new SomaService.Group(this)
+    this.manageLogLevel(this.service.characteristicDelegate('logLevel'))
+
+    this.debug('initialised')
+    this.emit('initialised')
+  }
+
+  /** Number of members of the group.
+    * @type {integer}
+    */
+  get size () {
+    return Object.keys(this.members).length
+  }
+
+  /** Add a device to the group.
+    * @param {SomaAccessory} accessory - The device accessory.
+    */
+  addMember (accessory) {
+    this.log('add member %s', accessory.name)
+    this.members[accessory.context.id] = accessory
+    accessory.service.characteristicDelegate('currentPosition')
+      .on('didSet', this.update)
+    accessory.service.characteristicDelegate('positionState')
+      .on('didSet', this.update)
+    this.update()
+  }
+
+  /** Remove a device from the group.
+    * @param {SomaAccessory} accessory - The device accessory.
+    */
+  removeMember (accessory) {
+    this.log('remove member %s', accessory.name)
+    delete this.members[accessory.context.id]
+    accessory.service.characteristicDelegate('currentPosition')
+      .removeListener('didSet', this.update)
+    accessory.service.characteristicDelegate('positionState')
+      .removeListener('didSet', this.update)
+    this.update()
+  }
+
+  /** Move all members to a new position.
+    * @param {integer} position - The HomeKit position, from 0 (closed) to
+    * 100 (open).
+    */
+  setTargetPosition (position) {
+    for (const id in this.members) {
+      this.members[id].service.setTargetPosition(position)
+    }
+  }
+
+  update () {
+    this.service.update(
+      Object.values(this.members).map((accessory) => accessory.service)
+    )
+  }
+}
+
+module.exports = SomaGroupAccessory
@@ -0,0 +1,160 @@
+// homebridge-soma/lib/SomaHomeKitTypes.js
+// Copyright © 2021-2022 Erik Baauw. All rights reserved.
+//
+// Homebridge plug-in for SOMA devices.
+
+'use strict'
+
+const homebridgeLib = require('homebridge-lib')
+
+function uuid (id) {
+  return SomaHomeKitTypes.uuid(id, '-0000-1000-8000-534F4D410000')
+}
+
+/** Custom HomeKit Services and Characteristics for SOMA devices, not (yet)
+  * provided by homebridge-lib.
+  * @extends CustomHomeKitTypes
+  */
+class SomaHomeKitTypes extends homebridgeLib.CustomHomeKitTypes {
+  constructor (homebridge) {
+    super(homebridge)
+
+    /** @member SomaHomeKitTypes#Characteristics
+      * @property {Class} MotorAcceleration - Acceleration of the motor when
+      * starting.
+      * <br>Used in WindowCovering service.
+      * @property {Class} MotorCurrent - Motor current (in mA) during the last
+      * move.
+      * <br>Used in Diagnostics service.
+      * @property {Class} MotorDeceleration - Deceleration of the motor when
+      * stopping.
+      * <br>Used in WindowCovering service.
+      * @property {Class} MotorMoveTotal - Total number of motor moves.
+      * <br>Used in Diagnostics service.
+      * @property {Class} MotorUstallAcceleration - Acceleration of the motor
+      * when restarting after a stall.
+      * <br>Used in WindowCovering service.
+      * @property {Class} PofCount - Number of power failures.
+      * <br>Used in Diagnostics service.
+      * @property {Class} PollFailures - Number of consecutive failed polls.
+      * <br>Used in WindowCovering service.
+      * @property {Class} PollingSuspended - Polling has been suspended after
+      * too many failed polls.
+      * <br>Used in WindowCovering service.
+      * @property {Class} PositionMoveTotal - Total number of position moves.
+      * <br>Used in Diagnostics service.
+      * @property {Class} ResetReason - Reason for the last device reset.
+      * <br>Used in Diagnostics service.
+      * @property {Class} StopReason - Reason the motor stopped last.
+      * <br>Used in Diagnostics service.
+      * @property {Class} TriggerOffset - Offset (in minutes) to sunrise or
+      * sunset.
+      * <br>Used in Resource service for triggers.
+      * @property {Class} TriggerTime - Local time (as `HH:MM`) for a timed
+      * trigger.
+      * <br>Used in Resource service for triggers.
+      * @property {Class} TriggerWeekdays - Days (as `Mon Tue ...` or
+      * `Every Day`) for a trigger.
+      * <br>Used in Resource service for triggers.
+      */
+
+    this.createCharacteristicClass('TriggerTime', uuid('001'), {
+      format: this.Formats.STRING,
+      perms: [this.Perms.READ, this.Perms.NOTIFY, this.Perms.WRITE]
+    }, 'Trigger Time')
+
+    this.createCharacteristicClass('TriggerOffset', uuid('002'), {
+      format: this.Formats.INT,
+      unit: 'min',
+      minValue: -720,
+      maxValue: 720,
+      minStep: 1,
+      perms: [this.Perms.READ, this.Perms.NOTIFY, this.Perms.WRITE]
+    }, 'Trigger Offset')
+
+    this.createCharacteristicClass('TriggerWeekdays', uuid('003'), {
+      format: this.Formats.STRING,
+      perms: [this.Perms.READ, this.Perms.NOTIFY, this.Perms.WRITE]
+    }, 'Trigger Weekdays')
+
+    this.createCharacteristicClass('PositionMoveTotal', uuid('004'), {
+      format: this.Formats.UINT32,
+      perms: [this.Perms.READ, this.Perms.NOTIFY]
+    }, 'Position Moves')
+
+    this.createCharacteristicClass('MotorMoveTotal', uuid('005'), {
+      format: this.Formats.UINT32,
+      perms: [this.Perms.READ, this.Perms.NOTIFY]
+    }, 'Motor Moves')
+
+    this.createCharacteristicClass('PofCount', uuid('006'), {
+      format: this.Formats.UINT32,
+      perms: [this.Perms.READ, this.Perms.NOTIFY]
+    }, 'Power Failures')
+
+    this.createCharacteristicClass('ResetReason', uuid('007'), {
+      format: this.Formats.UINT8,
+      perms: [this.Perms.READ, this.Perms.NOTIFY]
+    }, 'Reset Reason')
+
+    this.createCharacteristicClass('StopReason', uuid('008'), {
+      format: this.Formats.UINT8,
+      perms: [this.Perms.READ, this.Perms.NOTIFY]
+    }, 'Stop Reason')
+
+    this.createCharacteristicClass('MotorCurrent', uuid('009'), {
+      format: this.Formats.UINT16,
+      unit: 'mA',
+      perms: [this.Perms.READ, this.Perms.NOTIFY]
+    }, 'Motor Current')
+
+    this.createCharacteristicClass('MotorAcceleration', uuid('00A'), {
+      format: this.Formats.UINT8,
+      minValue: 0,
+      maxValue: 255,
+      minStep: 1,
+      perms: [this.Perms.READ, this.Perms.NOTIFY, this.Perms.WRITE]
+    }, 'Motor Acceleration')
+
+    this.createCharacteristicClass('MotorDeceleration', uuid('00B'), {
+      format: this.Formats.UINT8,
+      minValue: 0,
+      maxValue: 255,
+      minStep: 1,
+      perms: [this.Perms.READ, this.Perms.NOTIFY, this.Perms.WRITE]
+    }, 'Motor Deceleration')
+
+    this.createCharacteristicClass('MotorUstallAcceleration', uuid('00C'), {
+      format: this.Formats.UINT8,
+      minValue: 0,
+      maxValue: 255,
+      minStep: 1,
+      perms: [this.Perms.READ, this.Perms.NOTIFY, this.Perms.WRITE]
+    }, 'Motor Stall Acceleration')
+
+    this.createCharacteristicClass('PollFailures', uuid('00D'), {
+      format: this.Formats.UINT8,
+      perms: [this.Perms.READ, this.Perms.NOTIFY]
+    }, 'Poll Failures')
+
+    this.createCharacteristicClass('PollingSuspended', uuid('00E'), {
+      format: this.Formats.BOOL,
+      perms: [this.Perms.READ, this.Perms.NOTIFY]
+    }, 'Polling Suspended')
+
+    /** @member SomaHomeKitTypes#Services
+      * @property {Class} Diagnostics - Motor health counters.
+      */
+
+    this.createServiceClass('Diagnostics', uuid('101'), [
+      this.Characteristics.PositionMoveTotal,
+      this.Characteristics.MotorMoveTotal,
+      this.Characteristics.PofCount,
+      this.Characteristics.ResetReason,
+      this.Characteristics.StopReason,
+      this.Characteristics.MotorCurrent
+    ])
+  }
+}
+
+module.exports = SomaHomeKitTypes
@@ -9,6 +9,9 @@ const homebridgeLib = require('homebridge-lib')
 const { semver } = homebridgeLib
 const SomaClient = require('./SomaClient')
 const SomaAccessory = require('./SomaAccessory')
+const SomaGroupAccessory = require('./SomaGroupAccessory')
+const SomaHomeKitTypes = require('./SomaHomeKitTypes')
+const SomaSimulator = require('./SomaSimulator')
 
 const { bufferToHex } = require('../lib/BleUtils')
 
@@ -18,8 +21,18 @@ class SomaPlatform extends homebridgeLib.Platform {
   constructor (log, configJson, homebridge) {
     super(log, configJson, homebridge)
     this.config = {
+      chargingThreshold: 4200,
+      connectionDuration: 120,
+      devices: [],
+      diagnostics: false,
+      groups: false,
+      maxPollFailures: 5,
       restartInterval: Infinity,
+      retry: 5,
       rssi: -100,
+      simulator: 0,
+      syncName: false,
+      tiltOrientation: 'horizontal',
       timeout: 15
     }
     const optionParser = new homebridgeLib.OptionParser(this.config, true)
@@ -27,8 +40,21 @@ class SomaPlatform extends homebridgeLib.Platform {
       .stringKey('platform')
       .stringKey('name')
       .arrayKey('shades')
+      .arrayKey('devices')
+      .intKey('chargingThreshold', 0, 10000) // mV
+      .intKey('connectionDuration', 1, 600) // seconds
+      .boolKey('diagnostics')
+      .boolKey('groups')
+      .objectKey('location')
+      .intKey('maxPollFailures', 1, 20)
       .intKey('restartInterval', 1, 12) // hours
+      .intKey('retry', 0, 10)
       .intKey('rssi', -100, -50)
+      .intKey('simulator', 0, 16)
+      .boolKey('syncName')
+      .enumKey('tiltOrientation')
+      .enumKeyValue('tiltOrientation', 'horizontal')
+      .enumKeyValue('tiltOrientation', 'vertical')
       .intKey('timeout', 1, 60) // seconds
       .on('userInputError', (message) => {
         this.warn('config.json: %s', message)
@@ -37,8 +63,52 @@ class SomaPlatform extends homebridgeLib.Platform {
       optionParser.parse(configJson)
       this.config.restartInterval *= 3600 // hours -> seconds
     } catch (error) { this.error(error) }
+    if (this.config.location != null) {
+      try {
+        this.config.location = {
+          latitude: homebridgeLib.OptionParser.toNumber(
+            'location.latitude', this.config.location.latitude, -90, 90, true
+          ),
+          longitude: homebridgeLib.OptionParser.toNumber(
+            'location.longitude', this.config.location.longitude, -180, 180, true
+          )
+        }
+      } catch (error) {
+        this.warn('config.json: %s', error.message)
+        delete this.config.location
+      }
+    }
 
+    const devices = this.config.devices
+    this.config.devices = []
+    for (const i in devices) {
+      const device = {}
+      const deviceParser = new homebridgeLib.OptionParser(device, true)
+      deviceParser
+        .stringKey('device', true)
+        .intKey('connectionDuration', 1, 600) // seconds
+        .intKey('retry', 0, 10)
+        .boolKey('reverseDirection')
+        .intKey('timeout', 1, 60) // seconds
+        .on('userInputError', (message) => {
+          this.warn('config.json: devices[%d]: %s', i, message)
+        })
+      try {
+        deviceParser.parse(devices[i])
+        if (device.device == null) {
+          throw new SyntaxError('device: missing')
+        }
+        this.config.devices.push(device)
+      } catch (error) {
+        this.warn('config.json: devices[%d]: %s', i, error.message)
+      }
+    }
+
+    const somaTypes = new SomaHomeKitTypes(homebridge)
+    this.SomaServices = somaTypes.Services
+    this.SomaCharacteristics = somaTypes.Characteristics
     this.shades = {}
+    this.groups = {}
 
     this
       .on('accessoryRestored', this.accessoryRestored)
@@ -52,10 +122,48 @@ class SomaPlatform extends homebridgeLib.Platform {
       this.config.shades.includes(name) || this.config.shades.includes(address)
   }
 
+  /** Return the per-device settings from config.json.
+    * @param {string} name - The display name of the device.
+    * @param {string} address - The mac address of the device.
+    * @returns {object} - The settings, or `{}` when not configured.
+    */
+  deviceConfig (name, address) {
+    return this.config.devices.find((device) => {
+      return device.device === name || device.device === address
+    }) || {}
+  }
+
+  /** Return the BLE parameters for a device, from config.json.
+    * @param {string} name - The display name of the device.
+    * @param {string} address - The mac address of the device.
+    * @returns {object} - The parameters for
+    * {@link SomaClient.SomaPeripheral SomaPeripheral}.
+    */
+  peripheralParams (name, address) {
+    const device = this.deviceConfig(name, address)
+    const params = {}
+    for (const key of ['connectionDuration', 'retry', 'timeout']) {
+      params[key] = device[key] != null ? device[key] : this.config[key]
+    }
+    return params
+  }
+
   async init (beat) {
     this.warn('This plugin is no longer being maintained, see README.')
     this.emit('initialised')
-    this.client = new SomaClient({ rssi: this.config.rssi, scanDuration: 0 })
+    if (this.config.simulator > 0) {
+      this.warn('using %d simulated devices', this.config.simulator)
+    }
+    this.client = new SomaClient({
+      bindings: this.config.simulator > 0
+        ? SomaSimulator.createBindings(this.config.simulator)
+        : undefined,
+      connectionDuration: this.config.connectionDuration,
+      retry: this.config.retry,
+      rssi: this.config.rssi,
+      scanDuration: 0,
+      timeout: this.config.timeout
+    })
     this.client
       .on('error', (error) => {
         if (error instanceof SomaClient.BleError) {
@@ -129,6 +237,7 @@ class SomaPlatform extends homebridgeLib.Platform {
           }
           const delegate = this.createDelegate(device)
           try {
+            await delegate.connect(delegate.connectionDuration, true)
             const params = {
               id: (await delegate.getShadeMacAddress()).replace(/-/g, ''),
               deviceId: device.id,
@@ -138,8 +247,20 @@ class SomaPlatform extends homebridgeLib.Platform {
               hardware: await delegate.getHardwareRevision(),
               venetianMode: device.data.venetianMode
             }
+            if (this.config.groups) {
+              // Don't fail the probe when the group name cannot be read;
+              // the accessory reads it again when polling the device.
+              try {
+                params.group = await delegate.getGroupName()
+              } catch (error) {
+                if (!(error instanceof SomaClient.BleError)) {
+                  this.warn('%s: %s', device.id, error)
+                }
+              }
+            }
             this.debug('%s: %j', device.data.displayName, params)
             this.shades[device.id] = new SomaAccessory(this, params)
+            this.updateGroup(this.shades[device.id])
           } catch (error) {
             if (!(error instanceof SomaClient.BleError)) {
               this.error('%s: %s', device.id, error)
@@ -186,6 +307,9 @@ class SomaPlatform extends homebridgeLib.Platform {
     for (const id in this.shades) {
       await this.shades[id].heartbeat(beat)
     }
+    if (beat % 60 === 0) {
+      this.logQueueStatus()
+    }
     if (this.needRestart) {
       delete this.needRestart
       this.fatal('scheduled restart')
@@ -193,8 +317,61 @@ class SomaPlatform extends homebridgeLib.Platform {
     this.inHeartbeat = false
   }
 
+  /** Log the status of the queue of BLE requests.
+    */
+  logQueueStatus () {
+    if (this.client == null) {
+      return
+    }
+    const status = this.client.queueStatus
+    const backlog = {}
+    for (const id in status.backlog) {
+      const shade = this.shades[id]
+      const name = shade != null && shade.name != null ? shade.name : id
+      backlog[name] = status.backlog[id]
+    }
+    this.debug(
+      'queue: %d connections, %d waiting %j, wait: %dms average, %dms max',
+      status.connections, status.depth, backlog, status.averageWait,
+      status.maxWait
+    )
+  }
+
+  /** Add a device accessory to the group accessory for its group name,
+    * after removing it from its previous group.
+    *
+    * Group accessories are created when their first member is added, and
+    * removed when their last member is removed.
+    * @param {SomaAccessory} accessory - The device accessory.
+    */
+  updateGroup (accessory) {
+    const group = this.config.groups ? accessory.context.group : null
+    if (accessory.group != null) {
+      if (accessory.group.context.group === group) {
+        return
+      }
+      accessory.group.removeMember(accessory)
+      if (accessory.group.size === 0) {
+        delete this.groups[accessory.group.context.group]
+        accessory.group.destroy()
+      }
+      delete accessory.group
+    }
+    if (group == null || group === '') {
+      return
+    }
+    if (this.groups[group] == null) {
+      this.groups[group] = new SomaGroupAccessory(this, { group })
+    }
+    accessory.group = this.groups[group]
+    accessory.group.addMember(accessory)
+  }
+
   createDelegate (device, bleError = true) {
-    const delegate = new SomaClient.SomaPeripheral(this.client, device)
+    const delegate = new SomaClient.SomaPeripheral(
+      this.client, device,
+      this.peripheralParams(device.data.displayName, device.address)
+    )
     delegate
       .on('error', (error) => {
         if (error instanceof SomaClient.BleError) {
@@ -242,8 +419,12 @@ class SomaPlatform extends homebridgeLib.Platform {
           this.isWhitelisted(context.name, context.address)
         ) {
           this.shades[context.deviceId] = new SomaAccessory(this, context)
+          this.updateGroup(this.shades[context.deviceId])
         }
         break
+      case 'SomaGroupAccessory':
+        // Restored by updateGroup(), when restoring its first member.
+        break
       default:
         this.warn(
           '%s: ignore unknown %s v%s', name, className, version
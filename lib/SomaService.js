@@ -11,6 +11,39 @@ const SomaClient = require('./SomaClient')
 class SomaService extends homebridgeLib.ServiceDelegate {
   static get WindowCovering () { return WindowCovering }
   static get Trigger () { return Trigger }
+  static get Diagnostics () { return Diagnostics }
+  static get Group () { return Group }
+}
+
+// Convert Tilt position (-100: closed up, 0: open, 100: closed down) to
+// HomeKit tilt angle (90°: closed up, 0°: open, -90°: closed down).
+function toTiltAngle (position) {
+  return Math.round(position * -0.9) + 0
+}
+
+// Convert HomeKit tilt angle to Tilt position, rounded to 5%.
+function fromTiltAngle (angle) {
+  return Math.round(angle / -0.9 / 5) * 5 + 0
+}
+
+// Convert trigger position, as stored by the device, to HomeKit position,
+// from 0 (closed) to 100 (open).  In venetian mode, the device stores the
+// Tilt position from 0 (closed up) to 100 (closed down), with 50 for open.
+function fromTriggerPosition (position, venetianMode) {
+  if (venetianMode) {
+    return 100 - Math.abs(position * 2 - 100)
+  }
+  return 100 - position // % closed --> % open
+}
+
+// Convert HomeKit position to trigger position.  In venetian mode, close
+// upwards or downwards, as indicated by closeUpwards.
+function toTriggerPosition (hkPosition, venetianMode, closeUpwards) {
+  if (venetianMode) {
+    const position = (100 - hkPosition) * (closeUpwards ? -1 : 1)
+    return Math.round((position + 100) / 2)
+  }
+  return 100 - hkPosition // % open --> % closed
 }
 
 class WindowCovering extends homebridgeLib.ServiceDelegate {
@@ -18,9 +51,20 @@ class WindowCovering extends homebridgeLib.ServiceDelegate {
     params.name = accessory.name
     params.Service = accessory.Services.hap.WindowCovering
     params.primaryService = true
+    params.exposeConfiguredName = true
     super(accessory, params)
     this.accessory = accessory
-    this.venetianMode = params.venetianMode
+    this.tiltOrientation = params.tiltOrientation
+    this.targetCloseUpwards = false
+    this.moveId = 0
+
+    this.characteristicDelegate('configuredName')
+      .on('didSet', (value, fromHomeKit) => {
+        if (!fromHomeKit || !accessory.platform.config.syncName) {
+          return
+        }
+        this.setShadeName(value)
+      })
 
     this.addCharacteristicDelegate({
       key: 'currentPosition',
@@ -37,8 +81,7 @@ class WindowCovering extends homebridgeLib.ServiceDelegate {
       if (!fromHomeKit) {
         return
       }
-      this.values.targetPosition = Math.round(this.values.targetPosition / 5) * 5
-      this.setShadePosition()
+      this.setTargetPosition(value)
     })
     this.addCharacteristicDelegate({
       key: 'holdPosition',
@@ -68,6 +111,11 @@ class WindowCovering extends homebridgeLib.ServiceDelegate {
       Characteristic: this.Characteristics.hap.PositionState,
       value: this.Characteristics.hap.PositionState.STOPPED
     })
+    this.addCharacteristicDelegate({
+      key: 'obstructionDetected',
+      Characteristic: this.Characteristics.hap.ObstructionDetected,
+      value: false
+    })
     this.addCharacteristicDelegate({
       key: 'positionChange',
       Characteristic: this.Characteristics.my.PositionChange,
@@ -98,18 +146,7 @@ class WindowCovering extends homebridgeLib.ServiceDelegate {
         this.values.positionChange = 0
       }, 500)
     })
-    if (this.venetianMode) {
-      this.addCharacteristicDelegate({
-        key: 'closeUpwards',
-        Characteristic: this.Characteristics.my.CloseUpwards,
-        value: false
-      }).on('didSet', (value, fromHomeKit) => {
-        if (!fromHomeKit) {
-          return
-        }
-        this.setShadePosition()
-      })
-    }
+    this.setVenetianMode(params.venetianMode)
     this.addCharacteristicDelegate({
       key: 'morningMode',
       Characteristic: this.Characteristics.my.MorningMode,
@@ -137,10 +174,42 @@ class WindowCovering extends homebridgeLib.ServiceDelegate {
       }
       this.setMotorSpeed()
     })
+    const { SomaCharacteristics } = accessory.platform
+    for (const key of [
+      'motorAcceleration', 'motorDeceleration', 'motorUstallAcceleration'
+    ]) {
+      this.addCharacteristicDelegate({
+        key,
+        Characteristic: SomaCharacteristics[key[0].toUpperCase() + key.slice(1)]
+      }).on('didSet', (value, fromHomeKit) => {
+        if (!fromHomeKit) {
+          return
+        }
+        this.setMotorTuning(key)
+      })
+    }
+    this.addCharacteristicDelegate({
+      key: 'lockPhysicalControls',
+      Characteristic: this.Characteristics.hap.LockPhysicalControls,
+      value: this.Characteristics.hap.LockPhysicalControls.CONTROL_LOCK_DISABLED
+    }).on('didSet', (value, fromHomeKit) => {
+      if (!fromHomeKit) {
+        return
+      }
+      this.setTouchButtonEnabled(
+        value === this.Characteristics.hap.LockPhysicalControls.CONTROL_LOCK_DISABLED
+      )
+    })
     this.addCharacteristicDelegate({
       key: 'currentAmbientLightLevel',
       Characteristic: this.Characteristics.hap.CurrentAmbientLightLevel
     })
+    this.addCharacteristicDelegate({
+      key: 'panelVoltage',
+      Characteristic: this.Characteristics.eve.Voltage,
+      unit: ' V',
+      value: 0
+    })
     this.addCharacteristicDelegate({
       key: 'lastUpdated',
       Characteristic: this.Characteristics.my.LastUpdated
@@ -169,6 +238,16 @@ class WindowCovering extends homebridgeLib.ServiceDelegate {
       props: { unit: 'min', minValue: 1, maxValue: 30 },
       value: 5
     })
+    this.addCharacteristicDelegate({
+      key: 'pollFailures',
+      Characteristic: SomaCharacteristics.PollFailures,
+      value: 0
+    })
+    this.addCharacteristicDelegate({
+      key: 'pollingSuspended',
+      Characteristic: SomaCharacteristics.PollingSuspended,
+      value: false
+    })
     this.addCharacteristicDelegate({
       key: 'bootSeq'
     }).on('didSet', (value) => {
@@ -185,6 +264,7 @@ class WindowCovering extends homebridgeLib.ServiceDelegate {
       try {
         delete this.accessory.initialBeat // disable heartbeat
         this.accessory.pollNext = false
+        this.accessory.restarted = true
         try {
           await this.accessory.client.restart()
         } catch (error) {
@@ -212,6 +292,73 @@ class WindowCovering extends homebridgeLib.ServiceDelegate {
     this.values.positionState = this.Characteristics.hap.PositionState.STOPPED
   }
 
+  /** Add or remove the characteristics specific to venetian (Tilt) mode.
+    *
+    * In venetian mode, the tilt of the slats is exposed as Current and Target
+    * Horizontal (or Vertical) Tilt Angle, from -90° (closed down) to 90°
+    * (closed up).  Current and Target Position reflect how far the slats are
+    * opened, regardless of the direction.
+    * @param {boolean} venetianMode - Whether the device is in venetian mode.
+    */
+  setVenetianMode (venetianMode) {
+    if (venetianMode === this.venetianMode) {
+      return
+    }
+    this.venetianMode = venetianMode
+    if (this.timer != null) {
+      clearTimeout(this.timer)
+      delete this.timer
+    }
+    this.moveId++ // abandon current move
+    this.endMove()
+    if (venetianMode) {
+      const vertical = this.tiltOrientation === 'vertical'
+      this.addCharacteristicDelegate({
+        key: 'currentTiltAngle',
+        Characteristic: vertical
+          ? this.Characteristics.hap.CurrentVerticalTiltAngle
+          : this.Characteristics.hap.CurrentHorizontalTiltAngle,
+        unit: '°',
+        value: 0
+      })
+      this.addCharacteristicDelegate({
+        key: 'targetTiltAngle',
+        Characteristic: vertical
+          ? this.Characteristics.hap.TargetVerticalTiltAngle
+          : this.Characteristics.hap.TargetHorizontalTiltAngle,
+        unit: '°',
+        value: 0
+      }).on('didSet', (value, fromHomeKit) => {
+        if (!fromHomeKit) {
+          return
+        }
+        const position = fromTiltAngle(value)
+        if (position !== 0) {
+          this.targetCloseUpwards = position < 0
+        }
+        this.values.targetPosition = 100 - Math.abs(position)
+        this.setShadePosition()
+      })
+    } else if (this.values.targetTiltAngle !== undefined) {
+      this.removeCharacteristicDelegate('currentTiltAngle')
+      this.removeCharacteristicDelegate('targetTiltAngle')
+    }
+  }
+
+  /** Move the device to a new position.
+    * @param {integer} position - The HomeKit position, from 0 (closed) to
+    * 100 (open).
+    */
+  setTargetPosition (position) {
+    this.values.targetPosition = Math.round(position / 5) * 5
+    if (this.venetianMode) {
+      this.values.targetTiltAngle = toTiltAngle(
+        (100 - this.values.targetPosition) * (this.targetCloseUpwards ? -1 : 1)
+      )
+    }
+    this.setShadePosition()
+  }
+
   setShadePosition () {
     if (this.timer != null) {
       clearTimeout(this.timer)
@@ -220,42 +367,81 @@ class WindowCovering extends homebridgeLib.ServiceDelegate {
       return
     }
     this.timer = setTimeout(async () => {
+      delete this.timer
+      // Read the new target before ending the previous move, as endMove()
+      // resets the target to the current position.
+      let position = 100 - this.values.targetPosition // % closed --> % open
+      if (this.venetianMode && this.targetCloseUpwards) {
+        position *= -1
+      }
+      if (!this.moving && position === this.values.position) {
+        return
+      }
+      const moveId = ++this.moveId
+      this.cancelMove() // previous move
+      this.values.position = position
+      this.values.positionState =
+        this.values.targetPosition > this.values.currentPosition
+          ? this.Characteristics.hap.PositionState.INCREASING
+          : this.Characteristics.hap.PositionState.DECREASING
+      if (this.venetianMode) {
+        position += 100
+        position /= 2
+        position &= 0xFF
+      }
+      this.moving = true
+      this.notified = false
       try {
-        if (this.resetTimer != null) {
-          clearTimeout(this.resetTimer)
-          delete this.resetTimer
-        }
-        let position = 100 - this.values.targetPosition // % closed --> % open
-        if (this.venetianMode) {
-          if (this.values.closeUpwards) {
-            position *= -1
+        await this.accessory.client.setPosition(position)
+        this.lowBattery = false
+        let targetReached = null
+        if (!this.accessory.client.preempted) {
+          await this.accessory.client.subscribePosition()
+          targetReached = await this.trackPosition(5000, true)
+          if (moveId !== this.moveId) {
+            return // superseded by a new move
+          }
+          if (targetReached != null) {
+            await this.accessory.client.unsubscribePosition()
           }
-          this.targetCloseUpwards = this.values.closeUpwards
         }
-        if (position === this.values.position) {
-          return
+        if (targetReached == null) {
+          // Don't hold the connection for the rest of the move, when user
+          // commands for other devices are waiting for it.
+          try {
+            await this.accessory.client.disconnect()
+          } catch (error) {
+            if (!(error instanceof SomaClient.BleError)) {
+              this.error(error)
+            }
+          }
+          targetReached = await this.trackPosition(30000)
+          if (moveId !== this.moveId) {
+            return // superseded by a new move
+          }
         }
-        this.values.position = position
-        this.values.positionState =
-          this.values.targetPosition > this.values.currentPosition
-            ? this.Characteristics.hap.PositionState.INCREASING
-            : this.Characteristics.hap.PositionState.DECREASING
-        if (this.venetianMode) {
-          position += 100
-          position /= 2
-          position &= 0xFF
+        if (
+          !targetReached && !this.notified &&
+          await this.accessory.client.getUnderVoltage()
+        ) {
+          this.onLowBattery()
+        } else {
+          await this.checkObstruction(targetReached)
         }
-        await this.accessory.client.setPosition(position)
-        this.moving = true
-        this.resetTimer = setTimeout(() => {
-          this.moving = false
-          delete this.resetTimer
-        }, 30000)
       } catch (error) {
         if (!(error instanceof SomaClient.BleError)) {
           this.error(error)
         }
+        if (moveId === this.moveId) {
+          this.moving = false
+          this.values.positionState =
+            this.Characteristics.hap.PositionState.STOPPED
+        }
+      }
+      if (moveId !== this.moveId) {
+        return // superseded by a new move
       }
+      this.endMove()
       try {
         await this.accessory.client.disconnect()
       } catch (error) {
@@ -263,10 +449,151 @@ class WindowCovering extends homebridgeLib.ServiceDelegate {
           this.error(error)
         }
       }
-      delete this.timer
     }, 500)
   }
 
+  // Wait for the motor to stop.  While the motor moves, the current position
+  // is updated from the Motor Current State notifications, see
+  // notifyPosition(), and from the advertisements, see updatePosition().
+  // The move ends when the target position has been reached, or when the
+  // position hasn't changed for stopTimeout ms.  Resolves to whether the
+  // target position has been reached, or, with yieldConnection, to null,
+  // when a user command for another device is waiting for the connection
+  // while the move is still in progress.
+  async trackPosition (stopTimeout, yieldConnection = false) {
+    this.stopTimeout = stopTimeout
+    return new Promise((resolve) => {
+      this.onMoveDone = resolve
+      this.resetStopTimer()
+      if (yieldConnection) {
+        this.onContended = () => {
+          if (this.accessory.client.preempted) {
+            this.cancelMove()
+          }
+        }
+        this.accessory.client.on('contended', this.onContended)
+        this.onContended()
+      }
+    })
+  }
+
+  resetStopTimer () {
+    if (this.stopTimer != null) {
+      clearTimeout(this.stopTimer)
+    }
+    this.stopTimer = setTimeout(() => {
+      delete this.stopTimer
+      this.endMove()
+    }, this.stopTimeout)
+  }
+
+  /** Update the current position while the motor moves.
+    * @param {integer} position - The position, as notified by the device.
+    */
+  notifyPosition (position) {
+    if (this.onMoveDone == null) {
+      return
+    }
+    this.notified = true
+    this._trackPosition(position)
+  }
+
+  _trackPosition (position) {
+    const changed = position !== this.values.position
+    this._updatePosition(position)
+    if (!this.moving) {
+      this.endMove()
+    } else if (changed) {
+      this.resetStopTimer()
+    }
+  }
+
+  endMove () {
+    const targetReached = !this.moving
+    if (this.moving) {
+      // Revert to the last known position.
+      this.moving = false
+      this._updatePosition(
+        this.venetianMode
+          ? fromTiltAngle(this.values.currentTiltAngle)
+          : 100 - this.values.currentPosition
+      )
+    }
+    this.cancelMove(targetReached)
+  }
+
+  // Stop tracking the current move, resolving trackPosition() to
+  // targetReached.  Without ending the move, so a new move can replace it.
+  cancelMove (targetReached = null) {
+    if (this.stopTimer != null) {
+      clearTimeout(this.stopTimer)
+      delete this.stopTimer
+    }
+    if (this.onContended != null) {
+      this.accessory.client.removeListener('contended', this.onContended)
+      delete this.onContended
+    }
+    if (this.onMoveDone != null) {
+      const onMoveDone = this.onMoveDone
+      delete this.onMoveDone
+      onMoveDone(targetReached)
+    }
+  }
+
+  // Set Obstruction Detected when the motor stopped short of the target
+  // position.  The stop reason is logged, but not interpreted, as the stop
+  // reason codes haven't been documented.  Instead, it's saved as the stall
+  // reason, for the Diagnostics service.  Cleared after the next successful
+  // move.
+  async checkObstruction (targetReached) {
+    if (targetReached) {
+      this.values.obstructionDetected = false
+      return
+    }
+    const stopReason = await this.accessory.client.getStopReason()
+    this.warn(
+      'obstruction detected: motor stopped short of target (stop reason: %d)',
+      stopReason
+    )
+    this.accessory.context.stallReason = stopReason
+    this.values.obstructionDetected = true
+  }
+
+  // Set Status Fault and Status Low Battery, when the motor refuses to move
+  // because of low battery, i.e. when it didn't notify any position, while
+  // the device reports under voltage.  The target position has already been
+  // reverted to the current position, by endMove().
+  onLowBattery () {
+    this.warn('motor refuses to move: low battery')
+    this.lowBattery = true
+    this.values.statusFault = this.Characteristics.hap.StatusFault.GENERAL_FAULT
+    this.accessory.batteryService.values.statusLowBattery =
+      this.Characteristics.hap.StatusLowBattery.BATTERY_LEVEL_LOW
+  }
+
+  async setShadeName (name) {
+    if (this.accessory.client == null || name.trim() === '') {
+      return
+    }
+    try {
+      this.log('set device name to %j', name)
+      await this.accessory.client.setShadeName(name)
+    } catch (error) {
+      if (error instanceof RangeError) {
+        this.warn(error.message)
+      } else if (!(error instanceof SomaClient.BleError)) {
+        this.error(error)
+      }
+    }
+    try {
+      await this.accessory.client.disconnect()
+    } catch (error) {
+      if (!(error instanceof SomaClient.BleError)) {
+        this.error(error)
+      }
+    }
+  }
+
   setMotorSpeed () {
     if (this.timer != null) {
       clearTimeout(this.timer)
@@ -285,10 +612,68 @@ class WindowCovering extends homebridgeLib.ServiceDelegate {
     }, 500)
   }
 
+  async setTouchButtonEnabled (enabled) {
+    if (this.accessory.client == null) {
+      return
+    }
+    try {
+      await this.accessory.client.setTouchButtonEnabled(enabled)
+    } catch (error) {
+      if (!(error instanceof SomaClient.BleError)) {
+        this.error(error)
+      }
+    }
+    try {
+      await this.accessory.client.disconnect()
+    } catch (error) {
+      if (!(error instanceof SomaClient.BleError)) {
+        this.error(error)
+      }
+    }
+  }
+
+  setMotorTuning (key) {
+    if (this.tuningTimer != null) {
+      clearTimeout(this.tuningTimer)
+    }
+    if (this.accessory.client == null) {
+      return
+    }
+    this.tuningTimer = setTimeout(async () => {
+      delete this.tuningTimer
+      try {
+        const setter = 'set' + key[0].toUpperCase() + key.slice(1)
+        await this.accessory.client[setter](this.values[key])
+      } catch (error) {
+        if (!(error instanceof SomaClient.BleError)) {
+          this.error(error)
+        }
+      }
+      try {
+        await this.accessory.client.disconnect()
+      } catch (error) {
+        if (!(error instanceof SomaClient.BleError)) {
+          this.error(error)
+        }
+      }
+    }, 500)
+  }
+
   updatePosition (position) {
     if (this.timer != null) {
       return
     }
+    if (this.onMoveDone != null) {
+      this._trackPosition(position)
+      return
+    }
+    if (this.moving) {
+      return // move in progress, but not tracked
+    }
+    this._updatePosition(position)
+  }
+
+  _updatePosition (position) {
     this.values.position = position
     let hkPosition = Math.round(position / 5) * 5
     let closeUpwards
@@ -308,17 +693,25 @@ class WindowCovering extends homebridgeLib.ServiceDelegate {
       this.moving = false
     }
     this.values.currentPosition = hkPosition
-    if (closeUpwards != null) {
-      this.values.closeUpwards = closeUpwards
+    if (this.venetianMode) {
+      this.values.currentTiltAngle = toTiltAngle(Math.round(position / 5) * 5)
     }
     if (!this.moving) {
       this.values.targetPosition = hkPosition
+      if (this.venetianMode) {
+        if (closeUpwards != null) {
+          this.targetCloseUpwards = closeUpwards
+        }
+        this.values.targetTiltAngle = this.values.currentTiltAngle
+      }
       this.values.positionState = this.Characteristics.hap.PositionState.STOPPED
     }
   }
 
   updateLastSeen () {
-    this.values.statusFault = this.Characteristics.hap.StatusFault.NO_FAULT
+    this.values.statusFault = this.lowBattery || this.values.pollingSuspended
+      ? this.Characteristics.hap.StatusFault.GENERAL_FAULT
+      : this.Characteristics.hap.StatusFault.NO_FAULT
     this.values.lastSeen = (new Date()).toString().slice(0, 21)
   }
 }
@@ -331,6 +724,8 @@ class Trigger extends homebridgeLib.ServiceDelegate {
       subtype: 'T' + trigger.id
     })
     this.accessory = accessory
+    this.id = trigger.id
+    const { SomaCharacteristics } = accessory.platform
 
     this.addCharacteristicDelegate({
       key: 'enabled',
@@ -345,13 +740,81 @@ class Trigger extends homebridgeLib.ServiceDelegate {
     this.addCharacteristicDelegate({
       key: 'resource',
       Characteristic: this.Characteristics.my.Resource,
-      value: trigger.trigger
+      value: trigger.type == null
+        ? trigger.trigger // cached by v1.0.18 or older
+        : SomaClient.formatTrigger(trigger)
+    })
+    this.addCharacteristicDelegate({
+      key: 'targetPosition',
+      Characteristic: this.Characteristics.hap.TargetPosition,
+      unit: '%',
+      value: fromTriggerPosition(
+        trigger.position, accessory.context.venetianMode
+      )
+    }).on('didSet', (value, fromHomeKit) => {
+      if (!fromHomeKit) {
+        return
+      }
+      this.values.targetPosition = Math.round(value / 5) * 5
+      this.setTrigger()
+    })
+    this.addCharacteristicDelegate({
+      key: 'time',
+      Characteristic: SomaCharacteristics.TriggerTime,
+      value: trigger.time == null ? '' : trigger.time
+    }).on('didSet', (value, fromHomeKit) => {
+      if (!fromHomeKit) {
+        return
+      }
+      this.setTrigger({ type: SomaClient.triggerTypes.time })
+    })
+    this.addCharacteristicDelegate({
+      key: 'offset',
+      Characteristic: SomaCharacteristics.TriggerOffset,
+      unit: ' min',
+      value: trigger.offset == null ? 0 : Math.round(trigger.offset / 60)
+    }).on('didSet', (value, fromHomeKit) => {
+      if (!fromHomeKit) {
+        return
+      }
+      this.setTrigger()
+    })
+    this.addCharacteristicDelegate({
+      key: 'weekdays',
+      Characteristic: SomaCharacteristics.TriggerWeekdays,
+      value: trigger.weekdays == null
+        ? ''
+        : SomaClient.formatWeekdays(trigger.weekdays)
+    }).on('didSet', (value, fromHomeKit) => {
+      if (!fromHomeKit) {
+        return
+      }
+      this.setTrigger()
+    })
+    this.addCharacteristicDelegate({
+      key: 'morningMode',
+      Characteristic: this.Characteristics.my.MorningMode,
+      value: trigger.morningMode
+    }).on('didSet', (value, fromHomeKit) => {
+      if (!fromHomeKit) {
+        return
+      }
+      this.setTrigger()
     })
   }
 
   update (trigger) {
-    this.values.resource = trigger.trigger
+    this.values.resource = SomaClient.formatTrigger(trigger)
     this.values.enabled = trigger.enabled
+    this.values.targetPosition = fromTriggerPosition(
+      trigger.position, this.accessory.context.venetianMode
+    )
+    this.values.time = trigger.time == null ? '' : trigger.time
+    this.values.offset = trigger.offset == null
+      ? 0
+      : Math.round(trigger.offset / 60)
+    this.values.weekdays = SomaClient.formatWeekdays(trigger.weekdays)
+    this.values.morningMode = trigger.morningMode
   }
 
   async setEnabled (id, value) {
@@ -372,6 +835,220 @@ class Trigger extends homebridgeLib.ServiceDelegate {
       }
     }
   }
+
+  // Collect changes from HomeKit into a single trigger edit.
+  setTrigger (changes = {}) {
+    if (this.timer != null) {
+      clearTimeout(this.timer)
+    }
+    if (this.changes == null) {
+      this.changes = {}
+    }
+    Object.assign(this.changes, changes)
+    if (this.accessory.client == null) {
+      return
+    }
+    this.timer = setTimeout(async () => {
+      delete this.timer
+      const cached = this.accessory.context.triggers[this.id]
+      const trigger = Object.assign({}, cached, this.changes)
+      delete this.changes
+      try {
+        trigger.position = toTriggerPosition(
+          this.values.targetPosition, this.accessory.context.venetianMode,
+          cached != null && cached.position < 50
+        )
+        trigger.morningMode = this.values.morningMode
+        trigger.weekdays = SomaClient.parseWeekdays(this.values.weekdays)
+        if (trigger.type === SomaClient.triggerTypes.time) {
+          trigger.time = this.values.time
+          delete trigger.offset
+          delete trigger.lightLevel
+        } else if (
+          trigger.type === SomaClient.triggerTypes.sunrise ||
+          trigger.type === SomaClient.triggerTypes.sunset
+        ) {
+          trigger.offset = this.values.offset * 60
+        }
+        await this.accessory.client.editTrigger(this.id, trigger)
+        const updated = await this.accessory.client.getTrigger(this.id)
+        this.accessory.context.triggers[this.id] = updated
+        this.update(updated)
+      } catch (error) {
+        if (error instanceof RangeError) {
+          this.warn('trigger %d: %s', this.id, error.message)
+        } else if (!(error instanceof SomaClient.BleError)) {
+          this.error(error)
+        }
+        if (cached != null && cached.type != null) {
+          this.update(cached)
+        }
+      }
+      try {
+        await this.accessory.client.disconnect()
+      } catch (error) {
+        if (!(error instanceof SomaClient.BleError)) {
+          this.error(error)
+        }
+      }
+    }, 500)
+  }
+}
+
+class Diagnostics extends homebridgeLib.ServiceDelegate {
+  constructor (accessory, params = {}) {
+    const { SomaServices, SomaCharacteristics } = accessory.platform
+    params.name = accessory.name + ' Diagnostics'
+    params.Service = SomaServices.Diagnostics
+    super(accessory, params)
+    this.accessory = accessory
+
+    this.addCharacteristicDelegate({
+      key: 'positionMoveTotal',
+      Characteristic: SomaCharacteristics.PositionMoveTotal,
+      value: 0
+    })
+    this.addCharacteristicDelegate({
+      key: 'motorMoveTotal',
+      Characteristic: SomaCharacteristics.MotorMoveTotal,
+      value: 0
+    })
+    this.addCharacteristicDelegate({
+      key: 'pofCount',
+      Characteristic: SomaCharacteristics.PofCount,
+      value: 0
+    })
+    this.addCharacteristicDelegate({
+      key: 'resetReason',
+      Characteristic: SomaCharacteristics.ResetReason,
+      value: 0
+    })
+    this.addCharacteristicDelegate({
+      key: 'stopReason',
+      Characteristic: SomaCharacteristics.StopReason,
+      value: 0
+    })
+    this.addCharacteristicDelegate({
+      key: 'motorCurrent',
+      Characteristic: SomaCharacteristics.MotorCurrent,
+      unit: ' mA',
+      value: 0
+    })
+    this.addCharacteristicDelegate({
+      key: 'bootSeq',
+      value: 0
+    })
+  }
+
+  // The reset and stop reasons are exposed as raw values, as their meaning
+  // hasn't been documented.  Instead, resets are detected from the boot
+  // sequence number and the number of power failures, and stalls from the
+  // stop reason reported when the motor last stopped short of the target
+  // position, see WindowCovering.checkObstruction().
+  update (diagnostics) {
+    if (this.updated) { // not the first poll since Homebridge started
+      if (diagnostics.pofCount > this.values.pofCount) {
+        this.warn(
+          'device reset by power failure or brown-out (reset reason: %d)',
+          diagnostics.resetReason
+        )
+      } else if (
+        diagnostics.bootSeq > this.values.bootSeq && !this.accessory.restarted
+      ) {
+        this.warn(
+          'device reset unexpectedly, e.g. by the watchdog (reset reason: %d)',
+          diagnostics.resetReason
+        )
+      }
+      const { stallReason } = this.accessory.context
+      if (
+        diagnostics.motorMoveTotal > this.values.motorMoveTotal &&
+        diagnostics.stopReason === stallReason &&
+        !this.accessory.service.values.obstructionDetected
+      ) {
+        this.warn('motor stalled (stop reason: %d)', diagnostics.stopReason)
+      }
+    }
+    this.accessory.restarted = false
+    this.updated = true
+    for (const key of [
+      'bootSeq', 'positionMoveTotal', 'motorMoveTotal', 'pofCount',
+      'resetReason', 'stopReason', 'motorCurrent'
+    ]) {
+      if (diagnostics[key] != null) {
+        this.values[key] = diagnostics[key]
+      }
+    }
+  }
+}
+
+class Group extends homebridgeLib.ServiceDelegate {
+  constructor (accessory, params = {}) {
+    params.name = accessory.name
+    params.Service = accessory.Services.hap.WindowCovering
+    params.primaryService = true
+    super(accessory, params)
+    this.accessory = accessory
+
+    this.addCharacteristicDelegate({
+      key: 'currentPosition',
+      Characteristic: this.Characteristics.hap.CurrentPosition,
+      unit: '%',
+      value: 100 // % open
+    })
+    this.addCharacteristicDelegate({
+      key: 'targetPosition',
+      Characteristic: this.Characteristics.hap.TargetPosition,
+      unit: '%',
+      value: 100 // % open
+    }).on('didSet', (value, fromHomeKit) => {
+      if (!fromHomeKit) {
+        return
+      }
+      this.values.targetPosition = Math.round(value / 5) * 5
+      this.accessory.setTargetPosition(this.values.targetPosition)
+    })
+    this.addCharacteristicDelegate({
+      key: 'positionState',
+      Characteristic: this.Characteristics.hap.PositionState,
+      value: this.Characteristics.hap.PositionState.STOPPED
+    })
+    this.addCharacteristicDelegate({
+      key: 'logLevel',
+      Characteristic: this.Characteristics.my.LogLevel,
+      value: this.accessoryDelegate.logLevel
+    })
+
+    this.values.targetPosition = this.values.currentPosition
+    this.values.positionState = this.Characteristics.hap.PositionState.STOPPED
+  }
+
+  /** Update the group's position from the positions of its members.
+    *
+    * The current position is the average of the members' positions.
+    * The group is moving while any of its members is moving.
+    * @param {SomaService.WindowCovering[]} services - The members'
+    * WindowCovering services.
+    */
+  update (services) {
+    if (services.length === 0) {
+      return
+    }
+    const { PositionState } = this.Characteristics.hap
+    let total = 0
+    let positionState = PositionState.STOPPED
+    for (const service of services) {
+      total += service.values.currentPosition
+      if (service.values.positionState !== PositionState.STOPPED) {
+        positionState = service.values.positionState
+      }
+    }
+    this.values.currentPosition = Math.round(total / services.length)
+    this.values.positionState = positionState
+    if (positionState === PositionState.STOPPED) {
+      this.values.targetPosition = this.values.currentPosition
+    }
+  }
 }
 
 module.exports = SomaService
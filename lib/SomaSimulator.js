@@ -0,0 +1,557 @@
+// homebridge-soma/lib/SomaSimulator.js
+// Copyright © 2021-2022 Erik Baauw. All rights reserved.
+//
+// Homebridge plug-in for SOMA devices.
+
+'use strict'
+
+const BleSimulator = require('./BleSimulator')
+const SomaClient = require('./SomaClient')
+
+const { toHex } = require('./BleUtils.js')
+
+function uuid (id) {
+  return '0000' + id + '-B87F-490C-92CB-11BA5EA5167C'
+}
+
+const timeService = uuid('1554')
+const motorService = uuid('1861')
+const shadeService = uuid('1890')
+
+const motorCurrentState = uuid('1525')
+const motorTriggerResponse = uuid('1528')
+const motorCalibration = uuid('1529')
+const shadeConfig = uuid('1896')
+
+// Battery voltage (in mV) below which the motor refuses to move.
+const underVoltage = 3500
+
+// Reset and stop reasons, as reported by the simulated device.  The codes of
+// a real device haven't been documented, so these are arbitrary.
+const resetReasons = { powerOn: 1, software: 2 }
+const stopReasons = {
+  none: 0, targetReached: 1, userStop: 2, stall: 3, lowBattery: 4
+}
+
+// Shade config values, by command code, with their length in bytes.
+const shadeConfigs = {
+  0x01: { key: 'motorSpeed', length: 1 },
+  0x02: { key: 'motorDirection', length: 1 },
+  0x03: { key: 'motorSpeedTrigger', length: 1 },
+  0x05: { key: 'geoPosition', length: 8 },
+  0x06: { key: 'localTimeOffset', length: 1 },
+  0x07: { key: 'motorAcceleration', length: 1 },
+  0x08: { key: 'motorDeceleration', length: 1 },
+  0x09: { key: 'motorUstallAcceleration', length: 1 },
+  0x0C: { key: 'bootSeq', length: 4 },
+  0x0D: { key: 'resetReason', length: 1 },
+  0x0E: { key: 'stopReason', length: 1 },
+  0x0F: { key: 'pofCount', length: 2 },
+  0x14: { key: 'positionMoveTotal', length: 4 },
+  0x15: { key: 'motorMoveTotal', length: 4 },
+  0x16: { key: 'inCalibrationMode', length: 1 },
+  0x17: { key: 'sunriseSunset', length: 8 },
+  0x18: { key: 'motorCurrent', length: 2 }
+}
+
+// Encode a null-terminated string.
+function cString (s) {
+  return Buffer.concat([Buffer.from(s), Buffer.from([0])])
+}
+
+// Local time in seconds since epoch.
+function localTime (date = new Date()) {
+  return Math.round(date.valueOf() / 1000) - date.getTimezoneOffset() * 60
+}
+
+// Convert a timezone offset, as returned by `Date.getTimezoneOffset()`, to
+// hours, as stored by the device.
+function toDeviceHours (offset) {
+  return SomaClient.toDeviceTimeOffset(offset) / -60
+}
+
+/** Simulated SOMA Smart Shades or Tilt device.
+  *
+  * Implements the Device Information, Battery, Time, Motor, and Shade
+  * services, as used by {@link SomaClient.SomaPeripheral SomaPeripheral}, and
+  * advertises its battery level, position, and name, like a real device.
+  *
+  * The motor moves 1% per `stepDuration` ms, notifying its position.
+  * Set `batteryVoltage` below 3500 mV to have the motor refuse to move,
+  * set `stallPosition` to have the motor stall at that position, and set
+  * `inRange` to `false` to have the device go out of range.
+  * @extends BleSimulator.Peripheral
+  */
+class SomaSimulator extends BleSimulator.Peripheral {
+  /** Create a simulated adapter with simulated SOMA devices.
+    * @param {integer} [count = 1] - The number of devices.  Every second
+    * device is a Tilt.
+    * @param {?object} params - Parameters for the adapter, see
+    * {@link BleSimulator}.
+    * @returns {BleSimulator} - The simulated adapter, to be passed as
+    * `bindings` to {@link SomaClient}.
+    */
+  static createBindings (count = 1, params) {
+    const bindings = new BleSimulator(params)
+    for (let i = 1; i <= count; i++) {
+      const venetianMode = i % 2 === 0
+      bindings.addPeripheral(new SomaSimulator({
+        address: 'C0:FF:EE:00:00:' + toHex(i, 2, false),
+        name: (venetianMode ? 'Simulated Tilt ' : 'Simulated Shades ') + i,
+        venetianMode,
+        position: venetianMode ? 50 : 0
+      }))
+    }
+    return bindings
+  }
+
+  /** Create a new simulated SOMA device.
+    * @param {object} params - Parameters.
+    * @param {string} params.address - The mac address.
+    * @param {string} [params.name = 'Simulated Shades'] - The device name.
+    * @param {string} [params.group = ''] - The group name.
+    * @param {boolean} [params.venetianMode = false] - Simulate a Tilt.
+    * @param {string} [params.hardware = 'BLINDY_V9_6'] - The hardware
+    * revision.
+    * @param {string} [params.firmware = '2.2.8'] - The firmware version.
+    * @param {integer} [params.position = 0] - The initial position.
+    * @param {integer} [params.stepDuration = 50] - Time (in ms) to move 1%.
+    */
+  constructor (params) {
+    super(params)
+    this.shadeName = params.name != null ? params.name : 'Simulated Shades'
+    this.groupName = params.group != null ? params.group : ''
+    this.venetianMode = params.venetianMode || false
+    this.hardware = params.hardware != null ? params.hardware : 'BLINDY_V9_6'
+    this.firmware = params.firmware != null ? params.firmware : '2.2.8'
+    this.position = params.position != null ? params.position : 0
+    this.target = this.position
+    this.stepDuration = params.stepDuration != null ? params.stepDuration : 50
+    this.stallPosition = null
+
+    this.batteryVoltage = 4000 // mV
+    this.solarPanelVoltage = 4500 // mV
+    this.chargingLevel = 300
+    this.panelLevel = 300
+    this.touchButtonEnabled = true
+    this.motorControl = 0x00
+    this.clockOffset = 0 // s
+    this.triggers = {}
+    this.config = {
+      motorSpeed: 100,
+      motorDirection: 0,
+      motorSpeedTrigger: 50,
+      latitude: 0,
+      longitude: 0,
+      localTimeOffset: toDeviceHours((new Date()).getTimezoneOffset()),
+      motorAcceleration: 10,
+      motorDeceleration: 10,
+      motorUstallAcceleration: 10,
+      bootSeq: 1,
+      resetReason: resetReasons.powerOn,
+      stopReason: stopReasons.none,
+      pofCount: 0,
+      positionMoveTotal: 0,
+      motorMoveTotal: 0,
+      inCalibrationMode: 0,
+      motorCurrent: 0
+    }
+
+    this.addService('180A', {
+      '2A29': { properties: ['read'], read: () => Buffer.from('Wazombi Labs') },
+      '2A27': { properties: ['read'], read: () => Buffer.from(this.hardware) },
+      '2A26': { properties: ['read'], read: () => Buffer.from('v' + this.firmware) },
+      '2A28': { properties: ['read'], read: () => Buffer.from('v' + this.firmware) }
+    })
+    this.addService('180F', {
+      '2A19': { properties: ['read'], read: () => Buffer.from([this.batteryLevel]) }
+    })
+    this.addService(timeService, {
+      [uuid('1555')]: {
+        properties: ['read', 'write', 'notify'],
+        read: () => this.uint32(localTime() + this.clockOffset),
+        write: (b) => { this.clockOffset = b.readUInt32LE() - localTime() }
+      }
+    })
+    this.addService(motorService, {
+      [motorCurrentState]: {
+        properties: ['read', 'notify'],
+        read: () => this.currentState()
+      },
+      [uuid('1526')]: {
+        properties: ['read', 'write'],
+        read: () => Buffer.from([this.target]),
+        write: (b) => { this.move(b.readUInt8()) }
+      },
+      [uuid('1527')]: {
+        properties: ['read', 'write'],
+        read: () => Buffer.alloc(17, 0x37),
+        write: (b) => { this.triggerRequest(b) }
+      },
+      [motorTriggerResponse]: {
+        properties: ['read', 'notify'],
+        read: () => Buffer.from([0x30, 0x33])
+      },
+      [motorCalibration]: {
+        properties: ['read', 'write', 'notify'],
+        read: () => Buffer.from([this.venetianMode ? 0xA8 : 0xA9]),
+        write: (b) => { this.calibrate(b.readUInt8()) }
+      },
+      [uuid('1530')]: {
+        properties: ['read', 'write'],
+        read: () => Buffer.from([this.motorControl]),
+        write: (b) => { this.control(b.readUInt8()) }
+      },
+      [uuid('1531')]: {
+        properties: ['read', 'write'],
+        read: () => Buffer.from([0]),
+        write: (b) => {
+          /** Emitted when the device is asked to play a sound.
+            * @event SomaSimulator#identify
+            */
+          this.emit('identify')
+        }
+      },
+      [uuid('1532')]: {
+        properties: ['read'],
+        read: () => this.uint16(this.solarPanelVoltage)
+      },
+      [uuid('1533')]: {
+        properties: ['read', 'write'],
+        read: () => Buffer.from([this.touchButtonEnabled ? 1 : 0]),
+        write: (b) => { this.touchButtonEnabled = b.readUInt8() !== 0 }
+      },
+      [uuid('1534')]: {
+        properties: ['read', 'write'],
+        read: () => Buffer.from([this.config.motorSpeed]),
+        write: (b) => { this.config.motorSpeed = b.readUInt8() }
+      },
+      [uuid('BA71')]: {
+        properties: ['read', 'notify'],
+        read: () => this.uint16(this.batteryVoltage)
+      },
+      [uuid('BA72')]: {
+        properties: ['read', 'notify'],
+        read: () => Buffer.from([this.batteryVoltage < underVoltage ? 1 : 0])
+      }
+    })
+    this.addService(shadeService, {
+      [uuid('1891')]: {
+        properties: ['read', 'write', 'indicate'],
+        read: () => Buffer.from([0]),
+        write: (b) => { this.shadeControl(b.readUInt8()) }
+      },
+      [uuid('1892')]: {
+        properties: ['read', 'write'],
+        read: () => cString(this.shadeName),
+        write: (b) => { this.shadeName = b.toString().split('\0')[0] }
+      },
+      [uuid('1893')]: {
+        properties: ['read', 'write'],
+        read: () => cString(this.groupName),
+        write: (b) => { this.groupName = b.toString().split('\0')[0] }
+      },
+      [uuid('1894')]: {
+        properties: ['read', 'notify'],
+        read: () => Buffer.concat([
+          this.uint16(this.chargingLevel), this.uint16(this.panelLevel)
+        ])
+      },
+      [uuid('1895')]: {
+        properties: ['read'],
+        read: () => Buffer.from(this.address.replace(/:/g, '-'))
+      },
+      [shadeConfig]: {
+        properties: ['read', 'write', 'notify'],
+        read: () => Buffer.from([0xFF, 0x02]),
+        write: (b) => { this.shadeConfig(b) }
+      }
+    })
+  }
+
+  /** The battery level, as advertised.
+    *
+    * The simulator uses a linear approximation, from 0% at 3500 mV to 100% at
+    * 4200 mV.
+    * @type {integer}
+    */
+  get batteryLevel () {
+    const level = Math.round((this.batteryVoltage - underVoltage) / 7)
+    return Math.min(Math.max(level, 0), 100)
+  }
+
+  get advertisement () {
+    const advertisement = super.advertisement
+    const name = cString(this.shadeName)
+    advertisement.localName = this.shadeName
+    advertisement.manufacturerData = Buffer.concat([
+      Buffer.from([
+        0x70, 0x03, // Company identifier 0x0370
+        0x01, // Advertisement data protocol
+        this.batteryLevel | (this.venetianMode ? 0x80 : 0x00),
+        this.position,
+        this.target
+      ]),
+      name
+    ])
+    return advertisement
+  }
+
+  uint16 (value) {
+    const buffer = Buffer.alloc(2)
+    buffer.writeUInt16LE(value)
+    return buffer
+  }
+
+  uint32 (value) {
+    const buffer = Buffer.alloc(4)
+    buffer.writeUInt32LE(value)
+    return buffer
+  }
+
+  currentState () {
+    const buffer = Buffer.alloc(33)
+    buffer.writeUInt8(this.position, 0)
+    Object.keys(this.triggers).slice(0, 16).forEach((id, i) => {
+      buffer.writeUInt16LE(Number(id), 2 * i + 1)
+    })
+    return buffer
+  }
+
+  /* ===== Motor ============================================================ */
+
+  /** Move to a position.
+    * @param {integer} target - The target position, from 0 to 100.
+    */
+  move (target) {
+    if (this.batteryVoltage < underVoltage) {
+      this.motorControl = 0xFF
+      this.config.stopReason = stopReasons.lowBattery
+      return
+    }
+    if (this.motorControl === 0xFF) {
+      this.motorControl = 0x00
+    }
+    this.target = Math.min(Math.max(target, 0), 100)
+    if (this.moveTimer != null) {
+      return
+    }
+    this.config.positionMoveTotal++
+    this.config.motorMoveTotal++
+    this.config.motorCurrent = 150 + 2 * this.config.motorSpeed
+    this.moveTimer = setInterval(() => { this.step() }, this.stepDuration)
+  }
+
+  step () {
+    if (this.position === this.target) {
+      this.stop(stopReasons.targetReached)
+      return
+    }
+    if (this.position === this.stallPosition) {
+      this.stop(stopReasons.stall)
+      return
+    }
+    this.position += this.target > this.position ? 1 : -1
+    this.notify(motorService, motorCurrentState, this.currentState())
+    if (this.position === this.target) {
+      this.stop(stopReasons.targetReached)
+    }
+  }
+
+  /** Stop the motor.
+    * @param {integer} reason - The stop reason.
+    */
+  stop (reason) {
+    if (this.moveTimer != null) {
+      clearInterval(this.moveTimer)
+      delete this.moveTimer
+    }
+    this.target = this.position
+    this.config.stopReason = reason
+  }
+
+  control (command) {
+    this.motorControl = command
+    switch (command) {
+      case 0x00: // stop
+      case 0x01: // stopAtNextStep
+        this.stop(stopReasons.userStop)
+        break
+      case 0x68: // stepUp
+        this.move(this.position - 5)
+        break
+      case 0x69: // up
+        this.move(0)
+        break
+      case 0x86: // stepDown
+        this.move(this.position + 5)
+        break
+      case 0x96: // down
+        this.move(100)
+        break
+      default:
+        break
+    }
+  }
+
+  calibrate (command) {
+    switch (command) {
+      case 0xA8: // venetianModeOn
+        this.venetianMode = true
+        break
+      case 0xA9: // venetianModeOff
+        this.venetianMode = false
+        break
+      default:
+        break
+    }
+    this.notify(
+      motorService, motorCalibration,
+      Buffer.from([this.venetianMode ? 0xA8 : 0xA9])
+    )
+  }
+
+  /* ===== Triggers ========================================================= */
+
+  triggerRequest (buffer) {
+    const command = buffer.readUInt8(0)
+    const id = buffer.readUInt16LE(1)
+    const trigger = buffer.slice(3, 10)
+    let response = Buffer.from([0x30, command])
+    switch (command) {
+      case 0x13: { // add
+        const ids = Object.keys(this.triggers).map((id) => Number(id))
+        if (ids.length >= 16) {
+          response[0] = 0xF0
+          break
+        }
+        this.triggers[ids.length === 0 ? 1 : Math.max(...ids) + 1] = trigger
+        break
+      }
+      case 0x23: // remove
+        if (this.triggers[id] == null) {
+          response[0] = 0xF0
+          break
+        }
+        delete this.triggers[id]
+        break
+      case 0x33: // read
+        if (this.triggers[id] == null) {
+          response[0] = 0xF0
+          break
+        }
+        response = Buffer.concat([
+          response, this.uint16(id), this.triggers[id]
+        ])
+        break
+      case 0x43: // edit
+        if (this.triggers[id] == null) {
+          response[0] = 0xF0
+          break
+        }
+        this.triggers[id] = trigger
+        break
+      case 0x63: // clearAll
+        this.triggers = {}
+        break
+      default:
+        response[0] = 0xF0
+        break
+    }
+    this.notify(motorService, motorTriggerResponse, response)
+  }
+
+  /* ===== Shade ============================================================ */
+
+  shadeControl (command) {
+    switch (command) {
+      case 0x71: // restart
+        this.stop(stopReasons.none)
+        this.config.bootSeq++
+        this.config.resetReason = resetReasons.software
+        this.disconnect()
+        break
+      case 0xB1: // disconnect
+        this.disconnect()
+        break
+      default:
+        break
+    }
+  }
+
+  shadeConfig (buffer) {
+    const command = buffer.readUInt8(0)
+    if (command === 0xFF) {
+      const count = buffer.readUInt8(1)
+      const values = [Buffer.from([0xFF, 0x00])]
+      for (const command of buffer.slice(2, 2 + count)) {
+        const value = this.readConfig(command)
+        if (value != null) {
+          values.push(Buffer.from([command, value.length]), value)
+        }
+      }
+      const response = Buffer.concat(values)
+      response.writeUInt8(response.length, 1)
+      this.notify(shadeService, shadeConfig, response)
+      return
+    }
+    const config = shadeConfigs[command]
+    const length = buffer.readUInt8(1)
+    if (config == null || length !== config.length) {
+      return
+    }
+    switch (config.key) {
+      case 'geoPosition':
+        this.config.latitude = buffer.readFloatLE(2)
+        this.config.longitude = buffer.readFloatLE(6)
+        break
+      case 'localTimeOffset':
+        this.config.localTimeOffset = buffer.readInt8(2)
+        break
+      case 'motorSpeed':
+      case 'motorDirection':
+      case 'motorSpeedTrigger':
+      case 'motorAcceleration':
+      case 'motorDeceleration':
+      case 'motorUstallAcceleration':
+        this.config[config.key] = buffer.readUInt8(2)
+        break
+      default:
+        break
+    }
+  }
+
+  readConfig (command) {
+    const config = shadeConfigs[command]
+    if (config == null) {
+      return null
+    }
+    const buffer = Buffer.alloc(config.length)
+    switch (config.key) {
+      case 'geoPosition':
+        buffer.writeFloatLE(this.config.latitude, 0)
+        buffer.writeFloatLE(this.config.longitude, 4)
+        break
+      case 'localTimeOffset':
+        buffer.writeInt8(this.config.localTimeOffset)
+        break
+      case 'sunriseSunset': {
+        // Fixed at 07:00 and 19:00 local time.
+        const midnight = Math.floor(localTime() / 86400) * 86400
+        buffer.writeUInt32LE(midnight + 7 * 3600, 0)
+        buffer.writeUInt32LE(midnight + 19 * 3600, 4)
+        break
+      }
+      default:
+        switch (config.length) {
+          case 1: buffer.writeUInt8(this.config[config.key]); break
+          case 2: buffer.writeUInt16LE(this.config[config.key]); break
+          default: buffer.writeUInt32LE(this.config[config.key]); break
+        }
+        break
+    }
+    return buffer
+  }
+}
+
+module.exports = SomaSimulator
@@ -0,0 +1,207 @@
+// homebridge-soma/test/SomaClient.js
+// Copyright © 2021-2022 Erik Baauw. All rights reserved.
+//
+// Homebridge plug-in for SOMA devices.
+
+'use strict'
+
+const assert = require('assert')
+const events = require('events')
+const { after, before, describe, it } = require('node:test')
+
+const SomaClient = require('../lib/SomaClient')
+const SomaSimulator = require('../lib/SomaSimulator')
+
+// Discover the simulated devices, by address.
+async function discover (client, count) {
+  const devices = {}
+  return new Promise((resolve) => {
+    function onShadeFound (device) {
+      devices[device.address] = device
+      if (Object.keys(devices).length === count) {
+        client.removeListener('shadeFound', onShadeFound)
+        resolve(devices)
+      }
+    }
+    client.on('shadeFound', onShadeFound)
+  })
+}
+
+describe('SomaClient', { timeout: 30000 }, () => {
+  let bindings
+  let client
+  let devices
+  let shades
+  let tilt
+  let simulator
+
+  before(async () => {
+    bindings = SomaSimulator.createBindings(3, { advertisementInterval: 100 })
+    client = new SomaClient({ bindings, scanDuration: 0, timeout: 3, retry: 0 })
+    devices = await discover(client, 3)
+    shades = new SomaClient.SomaPeripheral(client, devices['C0:FF:EE:00:00:01'])
+    tilt = new SomaClient.SomaPeripheral(client, devices['C0:FF:EE:00:00:02'])
+    simulator = bindings.peripherals[shades.id]
+  })
+
+  after(async () => {
+    await shades.disconnect()
+    await tilt.disconnect()
+    await client.stopSearch()
+  })
+
+  it('decodes the advertisement', async () => {
+    const device = await events.once(client, 'shadeFound')
+    assert.strictEqual(device[0].data.displayName.startsWith('Simulated '), true)
+    assert.strictEqual(typeof device[0].data.battery, 'number')
+  })
+
+  it('reads the device info', async () => {
+    assert.strictEqual(await shades.getShadeMacAddress(), 'C0-FF-EE-00-00-01')
+    assert.strictEqual(await shades.getHardwareRevision(), 'BLINDY_V9_6')
+    assert.strictEqual(await shades.getShadeName(), 'Simulated Shades 1')
+    assert.strictEqual(await shades.getVenetianMode(), false)
+    assert.strictEqual(await shades.getBatteryVoltage(), 4000)
+    assert.strictEqual(await shades.getUnderVoltage(), false)
+    const { motorSpeed } = await shades.getShadeConfig()
+    assert.strictEqual(motorSpeed, 100)
+    // Only one device is connected at a time.
+    await shades.disconnect()
+    assert.strictEqual(await tilt.getVenetianMode(), true)
+    await tilt.disconnect()
+  })
+
+  it('moves to a position, notifying the position', async () => {
+    const positions = []
+    const onNotification = (notification) => {
+      if (notification.key === 'motorCurrentState') {
+        positions.push(notification.parsedValue.position)
+      }
+    }
+    shades.on('notification', onNotification)
+    await shades.subscribePosition()
+    await shades.setPosition(20)
+    while (simulator.position !== 20) {
+      await events.once(shades, 'notification')
+    }
+    await shades.unsubscribePosition()
+    shades.removeListener('notification', onNotification)
+    assert.strictEqual(positions[positions.length - 1], 20)
+    assert.strictEqual(typeof await shades.getStopReason(), 'number')
+  })
+
+  it('refuses to move on low battery', async () => {
+    simulator.batteryVoltage = 3300
+    try {
+      const position = simulator.position
+      await shades.setPosition(position + 10)
+      assert.strictEqual(await shades.getUnderVoltage(), true)
+      assert.strictEqual(simulator.position, position)
+    } finally {
+      simulator.batteryVoltage = 4000
+    }
+  })
+
+  it('adds, edits, enables, and removes triggers', async () => {
+    await shades.clearTriggers()
+    const id = await shades.addTrigger({
+      type: 'time', time: '07:30', position: 50, weekdays: ['Mon', 'Fri']
+    })
+    assert.deepStrictEqual(await shades.getTriggers(), [id])
+    let trigger = await shades.getTrigger(id)
+    assert.strictEqual(trigger.type, 'time')
+    assert.strictEqual(trigger.time, '07:30')
+    assert.strictEqual(trigger.position, 50)
+    assert.deepStrictEqual(trigger.weekdays, ['Mon', 'Fri'])
+    assert.strictEqual(trigger.enabled, true)
+
+    await shades.editTrigger(id, {
+      type: 'lightBelow', lightLevel: 0, position: 100, weekdays: ['Sun']
+    })
+    trigger = await shades.setTriggerEnabled(id, false)
+    assert.strictEqual(trigger.type, 'lightBelow')
+    assert.strictEqual(trigger.lightLevel, 0)
+    assert.strictEqual(trigger.enabled, false)
+
+    await shades.removeTrigger(id)
+    assert.deepStrictEqual(await shades.getTriggers(), [])
+  })
+
+  it('round-trips the light level boundaries', async () => {
+    for (const trigger of [
+      { type: 'lightAbove', lightLevel: 1 },
+      { type: 'lightBelow', lightLevel: 0 },
+      { type: 'lightAbove', lightLevel: 0xFFFF }
+    ]) {
+      const id = await shades.addTrigger(Object.assign({ position: 50 }, trigger))
+      const { type, lightLevel } = await shades.getTrigger(id)
+      assert.deepStrictEqual({ type, lightLevel }, trigger)
+      await shades.removeTrigger(id)
+    }
+    await assert.rejects(
+      shades.addTrigger({ type: 'lightAbove', lightLevel: 0, position: 50 }),
+      RangeError
+    )
+  })
+
+  it('round-trips the exported configuration', async () => {
+    await shades.addTrigger({
+      type: 'sunset', offset: 1800, position: 100, weekdays: ['Sat', 'Sun']
+    })
+    const config = await shades.exportConfig()
+    await shades.setMotorSpeed(50)
+    await shades.clearTriggers()
+    const changes = await shades.importConfig(config)
+    assert.deepStrictEqual(
+      changes.map((change) => change.key).sort(), ['motorSpeed', 'trigger']
+    )
+    assert.deepStrictEqual(await shades.exportConfig(), config)
+    assert.deepStrictEqual(await shades.importConfig(config, true), [])
+  })
+
+  it('connects for user commands before polling', async () => {
+    const order = []
+    await shades.connect()
+    const background = tilt.connect(tilt.connectionDuration, true)
+      .then(() => { order.push('background') })
+    const peripheral = new SomaClient.SomaPeripheral(
+      client, devices['C0:FF:EE:00:00:03']
+    )
+    const foreground = peripheral.connect()
+      .then(() => { order.push('foreground') })
+    assert.strictEqual(client.queueStatus.depth, 2)
+    await shades.disconnect()
+    await foreground
+    await peripheral.disconnect()
+    await background
+    await tilt.disconnect()
+    assert.deepStrictEqual(order, ['foreground', 'background'])
+  })
+
+  it('signals when user commands wait for the connection', async () => {
+    await shades.connect(shades.connectionDuration, true)
+    const contended = events.once(shades, 'contended')
+    const background = tilt.connect(tilt.connectionDuration, true)
+    await contended
+    assert.strictEqual(shades.preempted, false)
+    const foreground = tilt.connect()
+    assert.strictEqual(shades.preempted, true)
+    await shades.disconnect()
+    await Promise.all([background, foreground])
+    assert.strictEqual(shades.preempted, false)
+    await tilt.disconnect()
+  })
+
+  it('gives up waiting for the connection', async () => {
+    await shades.connect()
+    const peripheral = new SomaClient.SomaPeripheral(
+      client, devices['C0:FF:EE:00:00:03'], { timeout: 1, retry: 0 }
+    )
+    peripheral.on('error', () => {})
+    await assert.rejects(peripheral.connect(), SomaClient.BleError)
+    assert.strictEqual(client.queueStatus.depth, 0)
+    await shades.disconnect()
+    await peripheral.connect()
+    await peripheral.disconnect()
+  })
+})
@@ -0,0 +1,135 @@
+// homebridge-soma/test/SomaPlatform.js
+// Copyright © 2021-2022 Erik Baauw. All rights reserved.
+//
+// Homebridge plug-in for SOMA devices.
+
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { after, before, describe, it } = require('node:test')
+
+const { HomebridgeAPI } = require('homebridge/lib/api')
+const { Logger } = require('homebridge/lib/logger')
+const { User } = require('homebridge/lib/user')
+
+const plugin = require('../index')
+
+// Wait for condition to become true.
+async function waitFor (condition, timeout = 15000) {
+  const start = Date.now()
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('timed out')
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100))
+  }
+}
+
+describe('SomaPlatform', { timeout: 60000 }, () => {
+  const accessories = {}
+  let api
+  let platform
+  let storagePath
+  let Characteristic
+  let Service
+
+  before(async () => {
+    storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'homebridge-soma-'))
+    User.setStoragePath(storagePath)
+    api = new HomebridgeAPI()
+    Characteristic = api.hap.Characteristic
+    Service = api.hap.Service
+    let Platform
+    api
+      .on('registerPlatform', (name, constructor) => { Platform = constructor })
+      .on('registerPlatformAccessories', (platformAccessories) => {
+        for (const accessory of platformAccessories) {
+          accessories[accessory.displayName] = accessory
+        }
+      })
+    plugin(api)
+    platform = new Platform(
+      Logger.withPrefix('SOMA'), {
+        platform: 'SOMA',
+        simulator: 2,
+        location: { latitude: 52.37, longitude: 4.89 }
+      }, api
+    )
+    api.signalFinished()
+    await waitFor(() => Object.keys(accessories).length === 2)
+  })
+
+  after(async () => {
+    api.emit('shutdown')
+    await platform.client.stopSearch()
+    for (const id in platform.shades) {
+      const shade = platform.shades[id]
+      if (shade.client != null) {
+        await shade.client.disconnect()
+      }
+    }
+    fs.rmSync(storagePath, { recursive: true, force: true })
+  })
+
+  it('exposes the simulated devices', () => {
+    assert.deepStrictEqual(
+      Object.keys(accessories).sort(),
+      ['Simulated Shades 1', 'Simulated Tilt 2']
+    )
+    const shades = accessories['Simulated Shades 1']
+      .getService(Service.WindowCovering)
+    assert.strictEqual(
+      shades.testCharacteristic(Characteristic.CurrentHorizontalTiltAngle),
+      false
+    )
+    const tilt = accessories['Simulated Tilt 2']
+      .getService(Service.WindowCovering)
+    assert.strictEqual(
+      tilt.testCharacteristic(Characteristic.CurrentHorizontalTiltAngle), true
+    )
+  })
+
+  it('sets the location on the devices', async () => {
+    for (const simulator of Object.values(platform.client._bindings.peripherals)) {
+      await waitFor(() => Math.abs(simulator.config.latitude - 52.37) < 0.001)
+      assert.ok(Math.abs(simulator.config.longitude - 4.89) < 0.001)
+    }
+  })
+
+  it('moves the shades from HomeKit', async () => {
+    const service = accessories['Simulated Shades 1']
+      .getService(Service.WindowCovering)
+    const currentPosition = service.getCharacteristic(
+      Characteristic.CurrentPosition
+    )
+    const positionState = service.getCharacteristic(
+      Characteristic.PositionState
+    )
+    service.getCharacteristic(Characteristic.TargetPosition).setValue(80)
+    await waitFor(() => {
+      return positionState.value !== Characteristic.PositionState.STOPPED
+    })
+    await waitFor(() => {
+      return currentPosition.value === 80 &&
+        positionState.value === Characteristic.PositionState.STOPPED
+    })
+    const simulator = Object.values(platform.client._bindings.peripherals)
+      .find((peripheral) => peripheral.venetianMode === false)
+    // HomeKit rounds the position to 5%.
+    await waitFor(() => simulator.position === 20)
+  })
+
+  it('tilts the tilt from HomeKit', async () => {
+    const service = accessories['Simulated Tilt 2']
+      .getService(Service.WindowCovering)
+    const currentTiltAngle = service.getCharacteristic(
+      Characteristic.CurrentHorizontalTiltAngle
+    )
+    service.getCharacteristic(Characteristic.TargetHorizontalTiltAngle)
+      .setValue(45)
+    await waitFor(() => currentTiltAngle.value === 45)
+  })
+})
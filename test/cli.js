@@ -0,0 +1,74 @@
+// homebridge-soma/test/cli.js
+// Copyright © 2021-2022 Erik Baauw. All rights reserved.
+//
+// Homebridge plug-in for SOMA devices.
+
+'use strict'
+
+const assert = require('assert')
+const childProcess = require('child_process')
+const path = require('path')
+const util = require('util')
+const { describe, it } = require('node:test')
+
+const execFile = util.promisify(childProcess.execFile)
+
+const shades = 'C0:FF:EE:00:00:01'
+const tilt = 'C0:FF:EE:00:00:02'
+
+// Run a command-line tool against the simulated devices.
+async function run (tool, ...args) {
+  const { stdout } = await execFile(
+    process.execPath, [path.join(__dirname, '..', 'cli', tool), '-S', ...args],
+    { timeout: 45000 }
+  )
+  return stdout
+}
+
+describe('soma', { timeout: 60000 }, () => {
+  it('discovers the devices', async () => {
+    const lines = (await run('soma.js', '-t', '2', 'discover')).trim().split('\n')
+    assert.deepStrictEqual(
+      lines.map((line) => line.split(': ')[0]).sort(), [shades, tilt]
+    )
+    assert.match(lines.find((line) => line.startsWith(tilt)), /\(Tilt\)/)
+  })
+
+  it('shows the device info', async () => {
+    assert.match(await run('soma.js', 'info', shades), /Simulated Shades 1/)
+  })
+
+  it('sets the position', async () => {
+    assert.match(await run('soma.js', 'position', shades, '40'), /^\d+%$/m)
+  })
+
+  it('shows the venetian mode', async () => {
+    assert.match(await run('soma.js', 'venetian', tilt), /venetian mode: on/)
+  })
+
+  it('adds a trigger', async () => {
+    const trigger = JSON.parse(await run(
+      'soma.js', 'triggers', shades, 'add', '-t', '07:30', '-p', '50'
+    ))
+    assert.strictEqual(trigger.type, 'time')
+    assert.strictEqual(trigger.time, '07:30')
+    assert.strictEqual(trigger.position, 50)
+    assert.strictEqual(trigger.enabled, true)
+  })
+
+  it('exports the configuration', async () => {
+    const config = JSON.parse(await run('soma.js', 'export', shades))
+    assert.strictEqual(config.name, 'Simulated Shades 1')
+    assert.strictEqual(config.venetianMode, false)
+    assert.deepStrictEqual(config.triggers, [])
+  })
+})
+
+describe('ble', { timeout: 60000 }, () => {
+  it('probes a device', async () => {
+    const probe = JSON.parse(await run('ble.js', 'probe', shades))
+    assert.strictEqual(
+      probe.deviceInformation.hardwareRevision, 'BLINDY_V9_6'
+    )
+  })
+})